@@ -0,0 +1,74 @@
+// Service worker: keeps a copy of the timeline so it works offline after the
+// first visit. Pages and data (episodes.json, directors.json and the data
+// API) are fetched from the network first and fall back to the cached copy;
+// Next.js build assets have content-hashed names, so they are served from
+// the cache once stored. Registered by components/ServiceWorkerRegistration.js
+// in production builds only. Bump CACHE_VERSION to drop old caches.
+
+const CACHE_VERSION = 1;
+const CACHE_NAME = `blank-check-timeline-v${CACHE_VERSION}`;
+
+// Stored on install, so the timeline opens offline even if the first visit
+// was to another page
+const PRECACHE_URLS = ['/', '/data/episodes.json', '/data/directors.json'];
+
+const isImmutableAsset = (url) => url.pathname.startsWith('/_next/static/');
+
+// The episode editor writes episodes.json; its responses are never cached
+const isUncached = (url) => url.pathname.startsWith('/api/editor/');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => name.startsWith('blank-check-timeline-') && name !== CACHE_NAME)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const store = async (request, response) => {
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached || store(request, await fetch(request));
+};
+
+// Network, falling back to the cache. Pages fall back to the cached timeline
+// without its query string (filters are applied in the browser).
+const networkFirst = async (request) => {
+  try {
+    return await store(request, await fetch(request));
+  } catch (error) {
+    const cached = await caches.match(request) ||
+      (request.mode === 'navigate' ? await caches.match(request, { ignoreSearch: true }) : undefined);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || isUncached(url)) {
+    return;
+  }
+  event.respondWith(isImmutableAsset(url) ? cacheFirst(request) : networkFirst(request));
+});
@@ -0,0 +1,78 @@
+// Time the timeline's data pipeline on a large synthetic dataset, and show
+// how many events windowed rendering actually mounts.
+// Usage: npm run benchmark [-- --count 2000] [--write path/to/episodes.json]
+//
+// With --write the generated dataset is also saved, e.g. over
+// public/data/episodes.json to try it in the browser.
+
+import { writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { generateDataset } from './fixture.js';
+import { parseEpisodes, serializeDataset } from '../src/lib/episodes.js';
+import { buildSearchIndex, parseQuery, searchEvents } from '../src/lib/search.js';
+import { DEFAULT_FILTERS, applyFilters } from '../src/lib/filters.js';
+import { createTimeScale, getViewDate, getScaleDates, sortByViewDate } from '../src/lib/timeScale.js';
+import { layoutEvents } from '../src/lib/layout.js';
+import { generateTicks } from '../src/lib/axis.js';
+import { getRenderWindow, isInWindow } from '../src/lib/windowing.js';
+import { computeStats } from '../src/lib/stats.js';
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const count = Number(option('--count', 2000));
+const writePath = option('--write', null);
+
+// Visible width of the timeline in pixels, as on a typical laptop screen
+const VIEW_WIDTH = 1100;
+
+const timings = [];
+const time = (label, run) => {
+  const start = performance.now();
+  const result = run();
+  timings.push([label, performance.now() - start]);
+  return result;
+};
+
+const raw = time('generate dataset', () => generateDataset({ count }));
+const { events, errors } = time('parse + validate', () => parseEpisodes(raw));
+if (errors.length > 0) {
+  console.error(`Generated data has ${errors.length} invalid record(s)`);
+  process.exit(1);
+}
+
+const index = time('build search index', () => buildSearchIndex(events));
+time('search "night river"', () => searchEvents(index, parseQuery('night river')));
+time('search director: + year:', () => searchEvents(index, parseQuery('director:ava year:1990..2000')));
+const filtered = time('apply filters', () => applyFilters(events, { ...DEFAULT_FILTERS, includeTags: ['horror', 'comedy'] }));
+const scale = time('time scale', () => createTimeScale(events.flatMap(event => getScaleDates(event, 'film'))));
+const plotted = events.filter(event => getViewDate(event, 'film'));
+time('sort by view date', () => sortByViewDate(plotted, 'film'));
+time('stats', () => computeStats(events));
+
+const windowed = [1, 10, 50].map(zoom => {
+  const width = VIEW_WIDTH * zoom;
+  time(`lane layout (zoom ${zoom}x)`, () => layoutEvents(plotted, scale, event => event.date, width));
+  time(`axis ticks (zoom ${zoom}x)`, () => generateTicks(scale, width));
+  // Visible window in the middle of the timeline
+  const span = 100 / zoom;
+  const viewport = { start: 50 - span / 2, end: 50 + span / 2 };
+  const renderWindow = getRenderWindow(viewport, width);
+  const mounted = time(`render window (zoom ${zoom}x)`, () => (
+    plotted.filter(event => isInWindow(scale(event.date), renderWindow)).length
+  ));
+  return { zoom, mounted };
+});
+
+console.log(`${events.length} events (${plotted.length} plotted, ${filtered.length} after a tag filter)\n`);
+timings.forEach(([label, ms]) => console.log(`  ${label.padEnd(28)} ${ms.toFixed(1).padStart(8)} ms`));
+console.log('\nEvents mounted with windowed rendering:');
+windowed.forEach(({ zoom, mounted }) => console.log(`  zoom ${String(zoom).padStart(2)}x: ${mounted} of ${plotted.length}`));
+
+if (writePath) {
+  await writeFile(resolve(writePath), serializeDataset(raw));
+  console.log(`\nWrote ${resolve(writePath)}`);
+}
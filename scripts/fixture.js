@@ -0,0 +1,81 @@
+// Deterministic generator for large synthetic datasets in the episodes.json
+// format, used by scripts/benchmark.js. The same seed always produces the
+// same data.
+
+const FIRST_NAMES = ['Ava', 'Ben', 'Chloe', 'Dev', 'Elena', 'Farid', 'Grace', 'Hiro', 'Ines', 'Jonah', 'Kira', 'Luis', 'Mira', 'Noah', 'Olga', 'Pablo'];
+const LAST_NAMES = ['Abbott', 'Brandt', 'Castillo', 'Dunn', 'Eriksen', 'Fujita', 'Greer', 'Haddad', 'Ibarra', 'Jansen', 'Kowalski', 'Lindqvist', 'Moreau', 'Nakamura'];
+const TITLE_WORDS = ['Night', 'River', 'Ghost', 'Empire', 'Summer', 'Machine', 'Garden', 'Signal', 'Harbor', 'Shadow', 'Glass', 'Frontier', 'Echo', 'Crown', 'Storm', 'Mirror'];
+const TAGS = ['sci-fi', 'action', 'thriller', 'drama', 'comedy', 'horror', 'animation', 'romance', 'fantasy', 'western', 'musical', 'documentary'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_EPISODE = Date.UTC(2015, 3, 12);
+
+// mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Dataset of `count` weekly episodes grouped into director miniseries
+// (5-15 episodes each), with occasional multi-film and bonus episodes
+export const generateDataset = ({ count = 2000, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+  const miniseries = [];
+  const episodes = [];
+  let number = 1;
+
+  while (episodes.length < count) {
+    const director = `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)} ${miniseries.length + 1}`;
+    const seriesId = `series-${miniseries.length + 1}`;
+    const runLength = Math.min(between(5, 15), count - episodes.length);
+    const careerStart = Date.UTC(between(1930, 2010), between(0, 11), between(1, 28));
+    let filmTime = careerStart;
+
+    miniseries.push({
+      id: seriesId,
+      name: director,
+      directors: [director],
+      startEpisode: `#${number}`,
+      endEpisode: `#${number + runLength - 1}`
+    });
+
+    for (let i = 0; i < runLength; i++) {
+      const episodeTime = FIRST_EPISODE + (episodes.length * 7 + between(0, 2)) * DAY_MS;
+      const isBonus = random() < 0.04;
+      const filmCount = isBonus ? 0 : random() < 0.08 ? 2 : 1;
+      const films = Array.from({ length: filmCount }, () => {
+        filmTime = Math.min(filmTime + between(200, 1500) * DAY_MS, episodeTime - 30 * DAY_MS);
+        return {
+          title: `The ${pick(TITLE_WORDS)} ${pick(TITLE_WORDS)}`,
+          directors: [director],
+          date: isoDate(filmTime)
+        };
+      });
+      const title = films.length > 0 ? films[0].title : `Bonus: ${pick(TITLE_WORDS)} Mailbag`;
+
+      episodes.push({
+        id: episodes.length + 1,
+        title,
+        episodeDate: isoDate(episodeTime),
+        ...(!isBonus && { episodeNumber: `#${number++}`, miniseries: seriesId }),
+        films,
+        description: `${title}, episode ${episodes.length + 1} of the synthetic benchmark dataset.`,
+        tags: [...new Set([pick(TAGS), pick(TAGS)])],
+        links: [{ text: 'Listen', url: `https://example.com/episodes/${episodes.length + 1}` }]
+      });
+    }
+  }
+
+  return { miniseries, episodes };
+};
@@ -0,0 +1,85 @@
+// Import episodes from a podcast RSS or Atom feed saved to a local file.
+// Usage: npm run import-rss -- feed.xml [--data path/to/episodes.json] [--write] [--no-add]
+//
+// Matches feed items to existing episodes (by episode number, then title or
+// film title), fills in missing fields and a Listen link, and adds unmatched
+// items as new episodes (unless --no-add). Prints a report; the data file is
+// only rewritten with --write, and never when the result fails validation.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { parseEpisodes, describeError, serializeDataset } from '../src/lib/episodes.js';
+import { parseFeed } from '../src/lib/rss.js';
+import { mergeFeedItems } from '../src/lib/importFeed.js';
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return false;
+  }
+  args.splice(index, 1);
+  return true;
+};
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return fallback;
+  }
+  const [, value] = args.splice(index, 2);
+  return value;
+};
+
+const write = flag('--write');
+const addUnmatched = !flag('--no-add');
+const dataFile = resolve(option('--data', 'public/data/episodes.json'));
+const [feedArg] = args;
+
+if (!feedArg) {
+  console.error('Usage: npm run import-rss -- feed.xml [--data path/to/episodes.json] [--write] [--no-add]');
+  process.exit(1);
+}
+
+const feedFile = resolve(feedArg);
+let items;
+let data;
+try {
+  items = parseFeed(await readFile(feedFile, 'utf8'));
+  data = JSON.parse(await readFile(dataFile, 'utf8'));
+} catch (error) {
+  console.error(`Could not read input: ${error.message}`);
+  process.exit(1);
+}
+
+console.log(`${feedFile}: ${items.length} item(s)`);
+
+const { data: merged, report } = mergeFeedItems(data, items, { addUnmatched });
+
+const section = (title, entries, describe) => {
+  if (entries.length === 0) {
+    return;
+  }
+  console.log(`\n${title} (${entries.length}):`);
+  entries.forEach(entry => console.log(`  ${describe(entry)}`));
+};
+
+section('Added', report.added, entry => `${entry.item} as episode ${entry.id} (add its films by hand)`);
+section('Updated', report.updated, entry => `${entry.item} -> episode ${entry.id}: ${entry.fields.join(', ')}`);
+section('Unmatched', report.unmatched, entry => `${entry.item}: ${entry.message}`);
+section('Conflicts', report.conflicts, entry => `${entry.item}: ${entry.message}`);
+
+const { errors } = parseEpisodes(merged);
+if (errors.length > 0) {
+  console.error(`\nThe merged data has ${errors.length} invalid record(s); nothing written:\n`);
+  errors.forEach(error => console.error(`  ${describeError(error)}`));
+  process.exit(1);
+}
+
+if (report.added.length === 0 && report.updated.length === 0) {
+  console.log('\nNo changes.');
+} else if (write) {
+  await writeFile(dataFile, serializeDataset(merged));
+  console.log(`\nWrote ${dataFile}`);
+} else {
+  console.log('\nDry run; pass --write to update the data file.');
+}
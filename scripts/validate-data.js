@@ -0,0 +1,40 @@
+// Validate public/data/episodes.json and public/data/directors.json.
+// Usage: npm run validate-data [-- path/to/episodes.json [path/to/directors.json]]
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { parseEpisodes, describeError } from '../src/lib/episodes.js';
+import { parseDirectors } from '../src/lib/directors.js';
+
+const files = [
+  { file: resolve(process.argv[2] || 'public/data/episodes.json'), parse: parseEpisodes, count: result => result.events.length },
+  { file: resolve(process.argv[3] || 'public/data/directors.json'), parse: parseDirectors, count: result => result.directors.length }
+];
+
+let failed = false;
+
+for (const { file, parse, count } of files) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    failed = true;
+    continue;
+  }
+
+  const result = parse(data);
+
+  if (result.errors.length > 0) {
+    console.error(`${file}: ${result.errors.length} invalid record(s)\n`);
+    result.errors.forEach(error => console.error(`  ${describeError(error)}`));
+    failed = true;
+    continue;
+  }
+
+  console.log(`${file}: ${count(result)} record(s) OK`);
+}
+
+if (failed) {
+  process.exit(1);
+}
@@ -0,0 +1,25 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { parseEpisodeQuery, queryEpisodes, toDirectorsResponse } from '../../../lib/api.js';
+import { buildSearchIndex } from '../../../lib/search.js';
+import { loadDataset, loadDirectors } from '../../../lib/loadDataset';
+
+// GET /api/directors - directors of the episodes matching the episode filters
+// (all of them without parameters), grouped and colored as on the timeline
+export async function GET(request: NextRequest) {
+  let query;
+  try {
+    query = parseEpisodeQuery(request.nextUrl.searchParams);
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 400 });
+  }
+
+  let dataset;
+  let metadata;
+  try {
+    [dataset, metadata] = await Promise.all([loadDataset(), loadDirectors()]);
+  } catch (error) {
+    return NextResponse.json({ error: `Couldn't load the episode or director data: ${(error as Error).message}` }, { status: 500 });
+  }
+  const matches = queryEpisodes(dataset.events, buildSearchIndex(dataset.events), query);
+  return NextResponse.json(toDirectorsResponse(matches, metadata));
+}
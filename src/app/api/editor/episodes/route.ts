@@ -0,0 +1,64 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { NextRequest, NextResponse } from 'next/server';
+import { EDITOR_ENABLED, applyEpisodeEdit, diffFileChange } from '../../../../lib/editor.js';
+import { serializeDataset } from '../../../../lib/episodes.js';
+import { DATA_FILE } from '../../../../lib/loadDataset';
+
+// episodes.json as text and parsed, or an error response when the file
+// can't be read or isn't a JSON object
+const readDataset = async () => {
+  let text;
+  let raw;
+  try {
+    text = await readFile(DATA_FILE, 'utf8');
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { error: NextResponse.json({ error: `Couldn't read episodes.json: ${(error as Error).message}` }, { status: 500 }) };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: NextResponse.json({ error: 'episodes.json must contain a JSON object' }, { status: 500 }) };
+  }
+  return { text, raw };
+};
+
+// PUT /api/editor/episodes - add an episode ({ episode }) or replace one
+// ({ episode, originalId }) in episodes.json. With ?preview=1 nothing is
+// written; the response is { diff }, the lines of the file that would change
+// (see diffFileChange). Development only, and only with
+// NEXT_PUBLIC_ENABLE_EDITOR=1; everywhere else the route doesn't exist.
+export async function PUT(request: NextRequest) {
+  if (!EDITOR_ENABLED) {
+    return NextResponse.json({ error: 'Not found' }, { status: 404 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object' || !body.episode) {
+    return NextResponse.json({ error: 'Expected { episode, originalId? }' }, { status: 400 });
+  }
+
+  const { text, raw, error } = await readDataset();
+  if (error) {
+    return error;
+  }
+  const { data, errors } = applyEpisodeEdit(raw, body.episode, body.originalId ?? null);
+  if (errors.length > 0) {
+    return NextResponse.json({ error: 'Episode is invalid', messages: errors }, { status: 400 });
+  }
+
+  const next = serializeDataset(data);
+  if (request.nextUrl.searchParams.get('preview') === '1') {
+    return NextResponse.json({ diff: diffFileChange(text, next) });
+  }
+
+  try {
+    await writeFile(DATA_FILE, next);
+  } catch (writeError) {
+    return NextResponse.json({ error: `Couldn't write episodes.json: ${(writeError as Error).message}` }, { status: 500 });
+  }
+  return NextResponse.json({ episode: body.episode });
+}
@@ -0,0 +1,24 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { toEpisodeResponse } from '../../../../lib/api.js';
+import { loadDataset } from '../../../../lib/loadDataset';
+
+type Context = {
+  params: Promise<{ id: string }>;
+};
+
+// GET /api/episodes/[id] - one episode and its miniseries
+export async function GET(_request: NextRequest, { params }: Context) {
+  const { id } = await params;
+  let dataset;
+  try {
+    dataset = await loadDataset();
+  } catch (error) {
+    return NextResponse.json({ error: `Couldn't load the episode data: ${(error as Error).message}` }, { status: 500 });
+  }
+  const { events, miniseries } = dataset;
+  const event = events.find(e => String(e.id) === id);
+  if (!event) {
+    return NextResponse.json({ error: `No episode with id ${JSON.stringify(id)}` }, { status: 404 });
+  }
+  return NextResponse.json(toEpisodeResponse(event, miniseries));
+}
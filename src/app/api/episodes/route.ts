@@ -0,0 +1,24 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { parseEpisodeQuery, queryEpisodes, paginate, toEpisodesResponse } from '../../../lib/api.js';
+import { buildSearchIndex } from '../../../lib/search.js';
+import { loadDataset } from '../../../lib/loadDataset';
+
+// GET /api/episodes - filtered, sorted and paginated episodes (parameters in lib/api.js)
+export async function GET(request: NextRequest) {
+  let query;
+  try {
+    query = parseEpisodeQuery(request.nextUrl.searchParams);
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 400 });
+  }
+
+  let dataset;
+  try {
+    dataset = await loadDataset();
+  } catch (error) {
+    return NextResponse.json({ error: `Couldn't load the episode data: ${(error as Error).message}` }, { status: 500 });
+  }
+  const { events, miniseries } = dataset;
+  const matches = queryEpisodes(events, buildSearchIndex(events), query);
+  return NextResponse.json(toEpisodesResponse(paginate(matches, query.page, query.pageSize), miniseries));
+}
@@ -0,0 +1,24 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { parseEpisodeQuery, queryEpisodes, toTagsResponse } from '../../../lib/api.js';
+import { buildSearchIndex } from '../../../lib/search.js';
+import { loadDataset } from '../../../lib/loadDataset';
+
+// GET /api/tags - tags of the episodes matching the episode filters, with counts
+export async function GET(request: NextRequest) {
+  let query;
+  try {
+    query = parseEpisodeQuery(request.nextUrl.searchParams);
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 400 });
+  }
+
+  let dataset;
+  try {
+    dataset = await loadDataset();
+  } catch (error) {
+    return NextResponse.json({ error: `Couldn't load the episode data: ${(error as Error).message}` }, { status: 500 });
+  }
+  const { events } = dataset;
+  const matches = queryEpisodes(events, buildSearchIndex(events), query);
+  return NextResponse.json(toTagsResponse(matches));
+}
@@ -0,0 +1,114 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { directorSlug } from '../../../lib/episodes.js';
+import { getDirectorColor, sortByFilmography } from '../../../lib/directors.js';
+import { loadDataset, loadDirectorIndex } from '../../../lib/loadDataset';
+import ThemedColor from '../../../components/ThemedColor';
+import Message from '../../../components/Message';
+import LocalDate from '../../../components/LocalDate';
+
+type Props = {
+  params: Promise<{ slug: string }>;
+};
+
+// Only directors present in episodes.json at build time exist
+export const dynamicParams = false;
+
+// Resolve a slug to the director's name, metadata, episodes and miniseries
+const findDirector = async (slug: string) => {
+  const { events, miniseries } = await loadDataset();
+  const name = [...new Set(events.flatMap(event => event.directors))]
+    .find(director => directorSlug(director) === slug);
+  if (!name) {
+    return null;
+  }
+  const index = await loadDirectorIndex(events);
+  const metadata = index.byName.get(name);
+  return {
+    name,
+    metadata,
+    color: getDirectorColor(index, name),
+    episodes: sortByFilmography(events.filter(event => event.directors.includes(name)), metadata),
+    series: miniseries.filter(entry => entry.directors.includes(name))
+  };
+};
+
+export async function generateStaticParams() {
+  const { events } = await loadDataset();
+  const directors = new Set(events.flatMap(event => event.directors));
+  return [...directors].map(director => ({ slug: directorSlug(director) }));
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const { slug } = await params;
+  const director = await findDirector(slug);
+  if (!director) {
+    return {};
+  }
+
+  const title = director.name;
+  const description = director.metadata?.bio
+    || `${director.episodes.length} Blank Check episode${director.episodes.length === 1 ? '' : 's'} on the films of ${director.name}`;
+  return {
+    title,
+    description,
+    alternates: { canonical: `/directors/${slug}` },
+    openGraph: {
+      type: 'profile',
+      title,
+      description,
+      url: `/directors/${slug}`
+    }
+  };
+}
+
+export default async function DirectorPage({ params }: Props) {
+  const { slug } = await params;
+  const director = await findDirector(slug);
+  if (!director) {
+    notFound();
+  }
+
+  return (
+    <main className="max-w-3xl mx-auto p-4">
+      <Link
+        href={`/?director=${encodeURIComponent(director.name)}`}
+        className="text-sm text-accent hover:underline"
+      >
+        &larr; <Message id="page.backToTimeline" />
+      </Link>
+
+      <h1 className="text-3xl font-bold mt-4 mb-2">
+        <ThemedColor color={director.color}>{director.name}</ThemedColor>
+      </h1>
+      {director.metadata?.bio && <p className="mb-2">{director.metadata.bio}</p>}
+      {director.series.map(series => (
+        <div key={series.id} className="text-sm text-muted-foreground">
+          <Message id="modal.miniseries" params={{ name: series.name }} />
+          {series.pun && ` — ${series.pun}`}
+          {series.startEpisode && ` (${series.startEpisode}${series.endEpisode ? `–${series.endEpisode}` : ''})`}
+        </div>
+      ))}
+
+      <h2 className="text-lg font-semibold mt-6 mb-2"><Message id="page.episodes" /></h2>
+      <ul className="space-y-3">
+        {director.episodes.map(event => (
+          <li key={event.id}>
+            <Link href={`/episodes/${encodeURIComponent(String(event.id))}`} className="font-medium hover:underline">
+              {event.title}
+            </Link>
+            <div className="text-xs text-muted-foreground">
+              {event.date && <><Message id="summary.film" params={{ date: <LocalDate date={event.date} /> }} /> · </>}
+              <Message
+                id="summary.episode"
+                params={{ date: <>{event.episodeNumber && `${event.episodeNumber} - `}<LocalDate date={event.episodeDate} /></> }}
+              />
+            </div>
+            {event.description && <p className="text-sm">{event.description}</p>}
+          </li>
+        ))}
+      </ul>
+    </main>
+  );
+}
@@ -0,0 +1,152 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { directorSlug } from '../../../lib/episodes.js';
+import { loadDataset } from '../../../lib/loadDataset';
+import Message from '../../../components/Message';
+import LocalDate from '../../../components/LocalDate';
+
+type Props = {
+  params: Promise<{ id: string }>;
+};
+
+// Only ids present in episodes.json at build time exist
+export const dynamicParams = false;
+
+const findEpisode = async (id: string) => {
+  const { events, miniseries } = await loadDataset();
+  const event = events.find(e => String(e.id) === id);
+  return {
+    event,
+    series: event ? miniseries.find(s => s.id === event.miniseries) : undefined
+  };
+};
+
+export async function generateStaticParams() {
+  const { events } = await loadDataset();
+  return events.map(event => ({ id: String(event.id) }));
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const { id } = await params;
+  const { event } = await findEpisode(id);
+  if (!event) {
+    return {};
+  }
+
+  const title = event.episodeNumber ? `${event.title} (${event.episodeNumber})` : event.title;
+  const description = event.description || `Blank Check episode on ${event.title}`;
+  return {
+    title,
+    description,
+    alternates: { canonical: `/episodes/${id}` },
+    openGraph: {
+      type: 'article',
+      title,
+      description,
+      url: `/episodes/${id}`,
+      publishedTime: event.episodeDate.toISOString()
+    }
+  };
+}
+
+export default async function EpisodePage({ params }: Props) {
+  const { id } = await params;
+  const { event, series } = await findEpisode(id);
+  if (!event) {
+    notFound();
+  }
+
+  return (
+    <main className="max-w-3xl mx-auto p-4">
+      <Link href={`/?episode=${encodeURIComponent(id)}`} className="text-sm text-accent hover:underline">
+        &larr; <Message id="page.backToTimeline" />
+      </Link>
+
+      <h1 className="text-3xl font-bold mt-4">{event.title}</h1>
+      <div className="text-lg">
+        {event.isBonus ? <Message id="event.bonus" /> : event.directors.map((director, index) => (
+          <span key={director}>
+            {index > 0 && ' & '}
+            <Link href={`/directors/${directorSlug(director)}`} className="hover:underline">{director}</Link>
+          </span>
+        ))}
+      </div>
+      {series && (
+        <div className="text-sm text-muted-foreground">
+          <Message id="modal.miniseries" params={{ name: series.name }} />{series.pun && ` — ${series.pun}`}
+        </div>
+      )}
+
+      <div className="flex justify-between my-4 text-sm">
+        <div>
+          <div className="font-medium"><Message id="modal.filmRelease" /></div>
+          <div className="text-muted-foreground">{event.date ? <LocalDate date={event.date} /> : '—'}</div>
+        </div>
+        <div>
+          <div className="font-medium"><Message id="modal.podcastEpisode" /></div>
+          <div className="text-muted-foreground">{event.episodeNumber && `${event.episodeNumber} - `}<LocalDate date={event.episodeDate} /></div>
+        </div>
+      </div>
+
+      <p className="mb-4 font-medium">{event.description}</p>
+      <div className="mb-6">{event.content}</div>
+
+      {/* Films covered */}
+      {event.films.length > 0 && (
+        <div className="mb-4">
+          <h2 className="font-semibold mb-2"><Message id="modal.filmsCovered" /></h2>
+          <ul className="space-y-1 text-sm">
+            {event.films.map(film => (
+              <li key={`${film.title}-${film.date.getTime()}`} className="flex justify-between gap-4">
+                <span>
+                  <span className="font-medium">{film.title}</span> {film.directors.join(' & ')}
+                </span>
+                <span className="text-muted-foreground"><LocalDate date={film.date} /></span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Tags */}
+      {event.tags.length > 0 && (
+        <div className="mb-4">
+          <h2 className="font-semibold mb-2"><Message id="modal.tags" /></h2>
+          <div className="flex flex-wrap gap-2">
+            {event.tags.map(tag => (
+              <Link
+                key={tag}
+                href={`/?tag=${encodeURIComponent(tag)}`}
+                className="px-2 py-1 rounded-full text-sm bg-muted hover:bg-muted-hover"
+              >
+                {tag}
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Links */}
+      {event.links.length > 0 && (
+        <div>
+          <h2 className="font-semibold mb-2"><Message id="modal.links" /></h2>
+          <ul className="list-disc pl-5">
+            {event.links.map((link, index) => (
+              <li key={index}>
+                <a
+                  href={link.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-accent hover:underline"
+                >
+                  {link.text}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </main>
+  );
+}
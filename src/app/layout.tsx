@@ -1,5 +1,11 @@
 import type { Metadata } from "next";
 import { Geist, Geist_Mono } from "next/font/google";
+import { THEME_INIT_SCRIPT } from "../lib/theme.js";
+import ThemeProvider from "../components/ThemeProvider";
+import ThemeToggle from "../components/ThemeToggle";
+import I18nProvider from "../components/I18nProvider";
+import LocaleSettings from "../components/LocaleSettings";
+import ServiceWorkerRegistration from "../components/ServiceWorkerRegistration";
 import "./globals.css";
 
 const geistSans = Geist({
@@ -13,8 +19,18 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata: Metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  metadataBase: new URL(process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000"),
+  title: {
+    default: "Blank Check Podcast Timeline",
+    template: "%s | Blank Check Podcast Timeline",
+  },
+  description:
+    "Every film covered by the Blank Check podcast, placed on a timeline by release date and episode date.",
+  openGraph: {
+    siteName: "Blank Check Podcast Timeline",
+    type: "website",
+    locale: "en_US",
+  },
 };
 
 export default function RootLayout({
@@ -23,11 +39,25 @@ export default function RootLayout({
   children: React.ReactNode;
 }>) {
   return (
-    <html lang="en">
+    // data-theme is set before hydration by the inline script, lang after it
+    // by I18nProvider
+    <html lang="en" suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: THEME_INIT_SCRIPT }} />
+      </head>
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        {children}
+        <I18nProvider>
+          <ThemeProvider>
+            <div className="flex flex-wrap justify-end gap-4 px-4 pt-2">
+              <LocaleSettings />
+              <ThemeToggle />
+            </div>
+            {children}
+          </ThemeProvider>
+        </I18nProvider>
+        <ServiceWorkerRegistration />
       </body>
     </html>
   );
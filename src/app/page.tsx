@@ -1,11 +1,16 @@
 'use client';
 
+import { Suspense } from 'react';
 import Timeline from '../components/Timeline';
+import TimelineSkeleton from '../components/TimelineSkeleton';
 
 export default function Home() {
   return (
     <main>
-      <Timeline />
+      {/* Timeline reads its state from the query string */}
+      <Suspense fallback={<TimelineSkeleton />}>
+        <Timeline />
+      </Suspense>
     </main>
   );
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+'use client';
+
+import React from 'react';
+import { FILM_ROW_TOP, EPISODE_ROW_BOTTOM } from '../lib/layout.js';
+import EventTooltip from './EventTooltip';
+
+// Dual timeline: film releases along the top, episodes along the bottom,
+// with a line joining each film to the episode that covered it. Both rows
+// share one scale, so the slant of a line shows how long the show waited.
+// The film markers are the focusable, keyboard-navigable elements
+// (`getEventProps`); episode markers repeat them for the mouse only.
+// `tooltip` ({ id, anchor }) is the one tooltip to show; episode markers
+// report hovers with the 'episode' anchor.
+const ConnectionView = ({
+  events, getPosition, getColor, getTagColor, getHighlight, getEventProps,
+  tooltip, onShowTooltip, onHideTooltip, onSelect, height
+}) => {
+  const episodeRowTop = height - EPISODE_ROW_BOTTOM;
+
+  return (
+    <>
+      <svg className="absolute inset-0 w-full h-full pointer-events-none" aria-hidden="true">
+        {events.map(event => (
+          <line
+            key={event.id}
+            x1={`${getPosition(event.date)}%`}
+            y1={FILM_ROW_TOP}
+            x2={`${getPosition(event.episodeDate)}%`}
+            y2={episodeRowTop}
+            stroke={getColor(event)}
+            strokeOpacity="0.5"
+            strokeWidth="1.5"
+          />
+        ))}
+      </svg>
+
+      {events.map(event => (
+        <React.Fragment key={event.id}>
+          {/* Film release */}
+          <div
+            {...getEventProps(event)}
+            className="absolute cursor-pointer rounded-full focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+            style={{ left: `${getPosition(event.date)}%`, top: `${FILM_ROW_TOP}px`, transform: 'translate(-50%, -50%)', zIndex: 10 }}
+          >
+            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: getColor(event) }}></div>
+            {tooltip?.id === event.id && tooltip.anchor === 'event' && (
+              <EventTooltip id={`event-tooltip-${event.id}`} event={event} color={getColor(event)} getTagColor={getTagColor} highlight={getHighlight(event)} placement="below" />
+            )}
+          </div>
+
+          {/* Episode */}
+          <div
+            className="absolute cursor-pointer"
+            style={{ left: `${getPosition(event.episodeDate)}%`, top: `${episodeRowTop}px`, transform: 'translate(-50%, -50%)', zIndex: 10 }}
+            onClick={() => onSelect(event)}
+            onMouseEnter={() => onShowTooltip(event, 'episode')}
+            onMouseLeave={onHideTooltip}
+            aria-hidden="true"
+          >
+            <div className="w-3 h-3 rotate-45" style={{ backgroundColor: getColor(event) }}></div>
+            {tooltip?.id === event.id && tooltip.anchor === 'episode' && (
+              <EventTooltip event={event} color={getColor(event)} getTagColor={getTagColor} highlight={getHighlight(event)} showEpisodeNumber />
+            )}
+          </div>
+        </React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default ConnectionView;
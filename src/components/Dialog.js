@@ -0,0 +1,75 @@
+'use client';
+
+import React, { useEffect, useRef } from 'react';
+import { FOCUSABLE_SELECTOR } from '../lib/keyboard.js';
+
+// Modal dialog: moves focus into the dialog when it opens, keeps Tab inside
+// it, closes on Escape or a backdrop click and returns focus to whatever
+// had it before. `labelledBy` is the id of the dialog's heading; other keys
+// are passed to `onKeyDown`.
+const Dialog = ({ labelledBy, onClose, onKeyDown, children }) => {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    dialogRef.current.focus();
+    return () => {
+      if (previous && typeof previous.focus === 'function' && document.contains(previous)) {
+        previous.focus();
+      }
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key === 'Tab') {
+      const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+      return;
+    }
+    if (onKeyDown) {
+      onKeyDown(e);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-backdrop flex items-center justify-center p-2 sm:p-4 z-50"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className="bg-surface rounded-lg p-4 sm:p-6 max-w-2xl w-full max-h-[90vh] sm:max-h-[80vh] overflow-y-auto focus:outline-none"
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Dialog;
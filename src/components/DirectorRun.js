@@ -0,0 +1,53 @@
+'use client';
+
+import React, { useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { directorSlug } from '../lib/episodes.js';
+import { useI18n } from './I18nProvider';
+
+// Strip of every episode in a director's run, in filmography order, with the
+// current one highlighted. Clicking another episode opens it.
+const DirectorRun = ({ director, events, currentId, color, onSelect }) => {
+  const currentRef = useRef(null);
+  const { t } = useI18n();
+  // The heading links the director's name wherever the message places it
+  const [headingBefore, headingAfter] = t('run.heading').split('{director}');
+
+  // Keep the current episode in view as the run is browsed
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({ block: 'nearest', inline: 'center' });
+  }, [currentId]);
+
+  return (
+    <nav className="mb-4" aria-label={t('run.label', { director })}>
+      <h3 className="font-semibold mb-2">
+        {headingBefore}<Link href={`/directors/${directorSlug(director)}`} className="hover:underline" style={{ color }}>{director}</Link>{headingAfter}
+        <span className="font-normal text-sm text-muted-foreground"> {t('run.count', { count: events.length })}</span>
+      </h3>
+      <ol className="flex gap-2 overflow-x-auto pb-2">
+        {events.map((event, index) => {
+          const isCurrent = event.id === currentId;
+          return (
+            <li key={event.id} className="shrink-0">
+              <button
+                ref={isCurrent ? currentRef : null}
+                onClick={() => onSelect(event)}
+                aria-current={isCurrent ? 'true' : undefined}
+                className={`w-32 text-left px-2 py-1 rounded-md border text-xs ${
+                  isCurrent ? 'text-background border-transparent' : 'hover:bg-subtle'
+                }`}
+                style={isCurrent ? { backgroundColor: color } : undefined}
+              >
+                <span className="block opacity-75">{index + 1}.</span>
+                <span className="block font-medium truncate" title={event.title}>{event.title}</span>
+                {event.date && <span className="block opacity-75">{event.date.getUTCFullYear()}</span>}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+};
+
+export default DirectorRun;
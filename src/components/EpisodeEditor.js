@@ -0,0 +1,250 @@
+'use client';
+
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { validateEpisode } from '../lib/episodes.js';
+import { toEditorForm, fromEditorForm, checkEditorForm, addFilm, addLink } from '../lib/editor.js';
+import { useI18n } from './I18nProvider';
+
+const INPUT_CLASS = 'w-full border rounded-md px-2 py-1 bg-surface';
+
+const DIFF_STYLES = {
+  same: 'text-muted-foreground',
+  add: 'bg-success/15 text-success',
+  remove: 'bg-danger/15 text-danger'
+};
+const DIFF_PREFIXES = { same: '  ', add: '+ ', remove: '- ' };
+
+const Field = ({ label, children }) => (
+  <label className="block text-sm">
+    <span className="font-medium">{label}</span>
+    {children}
+  </label>
+);
+
+// Form for adding or correcting an episode (development only). Edits go
+// through a preview of the episodes.json lines they change, from
+// `onPreview(record, originalId)` (diffLines entries), before `onSave(record,
+// originalId)` writes them; both should throw with a message when they fail.
+// `originalId` is null for a new episode.
+const EpisodeEditor = ({ initialRecord, originalId, miniseries, allTags, allDirectors, onPreview, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => toEditorForm(initialRecord));
+  const [tagInput, setTagInput] = useState('');
+  const [review, setReview] = useState(null); // { record, diff } being reviewed
+  const [previewing, setPreviewing] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const { t } = useI18n();
+  const isNew = originalId === null;
+
+  const update = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const updateItem = (key, index, field, value) => setForm(prev => ({
+    ...prev,
+    [key]: prev[key].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+  }));
+  const removeItem = (key, index) => setForm(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+
+  const addTag = () => {
+    const tag = tagInput.trim().replace(/,$/, '');
+    if (tag && !form.tags.includes(tag)) {
+      update('tags', [...form.tags, tag]);
+    }
+    setTagInput('');
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    } else if (e.key === 'Backspace' && tagInput === '' && form.tags.length > 0) {
+      update('tags', form.tags.slice(0, -1));
+    }
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    // Form problems point at a field; anything else the schema rejects is
+    // reported with its own message
+    const problems = checkEditorForm(form);
+    const record = fromEditorForm(form, miniseries);
+    const messages = problems.length > 0
+      ? problems.map(problem => t(problem.key, problem.params))
+      : validateEpisode(record).map(message => t('editor.errorInvalid', { message }));
+    setErrors(messages);
+    if (messages.length > 0) {
+      return;
+    }
+
+    // The route diffs the file it would write, so the preview matches the save
+    setPreviewing(true);
+    try {
+      setReview({ record, diff: await onPreview(record, originalId) });
+    } catch (error) {
+      setErrors([t('editor.previewFailed', { message: error.message })]);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setErrors([]);
+    try {
+      await onSave(review.record, originalId);
+    } catch (error) {
+      setErrors([t('editor.saveFailed', { message: error.message })]);
+      setReview(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const errorList = errors.length > 0 && (
+    <ul className="mb-4 list-disc pl-5 text-sm text-danger" role="alert">
+      {errors.map(message => <li key={message}>{message}</li>)}
+    </ul>
+  );
+
+  if (review) {
+    const lines = review.diff;
+    const changed = lines.some(line => line.type !== 'same');
+    return (
+      <div>
+        <h2 id="episode-editor-title" className="text-2xl font-bold mb-4">{t('editor.review')}</h2>
+        {errorList}
+        {changed ? (
+          <pre className="mb-4 text-xs border rounded-md overflow-x-auto" aria-label={t('editor.changes')}>
+            {lines.map((line, index) => (
+              <div key={index} className={`px-2 ${DIFF_STYLES[line.type]}`}>
+                {DIFF_PREFIXES[line.type]}{line.text}
+              </div>
+            ))}
+          </pre>
+        ) : (
+          <p className="mb-4 text-sm text-muted-foreground">{t('editor.noChanges')}</p>
+        )}
+        <div className="flex justify-end gap-2">
+          <button onClick={() => setReview(null)} className="px-3 py-1 rounded-md bg-muted hover:bg-muted-hover">
+            {t('editor.back')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!changed || saving}
+            className="px-3 py-1 rounded-md bg-accent text-accent-foreground disabled:opacity-50"
+          >
+            {saving ? t('editor.saving') : t('editor.save')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleReview} className="space-y-4">
+      <h2 id="episode-editor-title" className="text-2xl font-bold">{isNew ? t('editor.addTitle') : t('editor.editTitle')}</h2>
+      {errorList}
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <Field label={t('editor.id')}>
+          <input value={form.id} onChange={(e) => update('id', e.target.value)} readOnly={!isNew} className={INPUT_CLASS} required />
+        </Field>
+        <Field label={t('editor.episodeNumber')}>
+          <input value={form.episodeNumber} onChange={(e) => update('episodeNumber', e.target.value)} placeholder="#123" className={INPUT_CLASS} />
+        </Field>
+        <Field label={t('editor.aired')}>
+          <input type="date" value={form.episodeDate} onChange={(e) => update('episodeDate', e.target.value)} className={INPUT_CLASS} required />
+        </Field>
+      </div>
+
+      <Field label={t('editor.title')}>
+        <input value={form.title} onChange={(e) => update('title', e.target.value)} className={INPUT_CLASS} required />
+      </Field>
+
+      <Field label={t('editor.miniseries')}>
+        <select value={form.miniseries} onChange={(e) => update('miniseries', e.target.value)} className={INPUT_CLASS}>
+          <option value="">{t('editor.noMiniseries')}</option>
+          {miniseries.map(series => (
+            <option key={series.id} value={String(series.id)}>{series.name}</option>
+          ))}
+        </select>
+      </Field>
+
+      {/* Films covered (none for a bonus episode) */}
+      <fieldset className="space-y-2">
+        <legend className="text-sm font-medium">{t('editor.films')}</legend>
+        <datalist id="editor-directors">
+          {allDirectors.map(director => <option key={director} value={director} />)}
+        </datalist>
+        {form.films.map((film, index) => (
+          <div key={index} className="flex flex-wrap sm:flex-nowrap gap-2 items-center">
+            <input value={film.title} onChange={(e) => updateItem('films', index, 'title', e.target.value)} placeholder={t('editor.filmTitle')} aria-label={t('editor.filmTitleLabel', { number: index + 1 })} className={INPUT_CLASS} />
+            <input value={film.directors} onChange={(e) => updateItem('films', index, 'directors', e.target.value)} placeholder={t('editor.filmDirectors')} list="editor-directors" aria-label={t('editor.filmDirectorsLabel', { number: index + 1 })} className={INPUT_CLASS} />
+            <input type="date" value={film.date} onChange={(e) => updateItem('films', index, 'date', e.target.value)} aria-label={t('editor.filmDateLabel', { number: index + 1 })} className={INPUT_CLASS} />
+            <button type="button" onClick={() => removeItem('films', index)} className="p-1 rounded-md hover:bg-muted" aria-label={t('editor.removeFilm', { number: index + 1 })}>
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setForm(addFilm)} className="text-sm text-accent hover:underline">{t('editor.addFilm')}</button>
+      </fieldset>
+
+      <Field label={t('editor.description')}>
+        <input value={form.description} onChange={(e) => update('description', e.target.value)} className={INPUT_CLASS} />
+      </Field>
+      <Field label={t('editor.content')}>
+        <textarea value={form.content} onChange={(e) => update('content', e.target.value)} rows={4} className={INPUT_CLASS} />
+      </Field>
+
+      {/* Tags, suggested from the ones already in use */}
+      <div className="text-sm">
+        <label htmlFor="editor-tag-input" className="font-medium">{t('editor.tags')}</label>
+        <div className="flex flex-wrap items-center gap-1 border rounded-md px-2 py-1 bg-surface">
+          {form.tags.map(tag => (
+            <span key={tag} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-muted">
+              {tag}
+              <button type="button" onClick={() => update('tags', form.tags.filter(other => other !== tag))} aria-label={t('editor.removeTag', { tag })}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <input
+            id="editor-tag-input"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            onBlur={addTag}
+            list="editor-tags"
+            placeholder={t('editor.addTag')}
+            className="flex-1 min-w-24 py-0.5 bg-transparent focus:outline-none"
+          />
+          <datalist id="editor-tags">
+            {allTags.filter(tag => !form.tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+        </div>
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="text-sm font-medium">{t('editor.links')}</legend>
+        {form.links.map((link, index) => (
+          <div key={index} className="flex flex-wrap sm:flex-nowrap gap-2 items-center">
+            <input value={link.text} onChange={(e) => updateItem('links', index, 'text', e.target.value)} placeholder={t('editor.linkText')} aria-label={t('editor.linkTextLabel', { number: index + 1 })} className={INPUT_CLASS} />
+            <input type="url" value={link.url} onChange={(e) => updateItem('links', index, 'url', e.target.value)} placeholder="https://…" aria-label={t('editor.linkUrlLabel', { number: index + 1 })} className={INPUT_CLASS} />
+            <button type="button" onClick={() => removeItem('links', index)} className="p-1 rounded-md hover:bg-muted" aria-label={t('editor.removeLink', { number: index + 1 })}>
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setForm(addLink)} className="text-sm text-accent hover:underline">{t('editor.addLink')}</button>
+      </fieldset>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 rounded-md bg-muted hover:bg-muted-hover">{t('editor.cancel')}</button>
+        <button type="submit" disabled={previewing} className="px-3 py-1 rounded-md bg-accent text-accent-foreground disabled:opacity-50">
+          {previewing ? t('editor.previewing') : t('editor.review')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EpisodeEditor;
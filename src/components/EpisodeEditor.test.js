@@ -0,0 +1,88 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EpisodeEditor from './EpisodeEditor';
+import I18nProvider from './I18nProvider';
+import { saveLocalePreferences } from '../lib/i18n.js';
+import { EPISODES_JSON } from '../test/fixtures.js';
+
+// Preview of a description edit, as the route returns it
+const DIFF = [
+  { type: 'same', text: '      "title": "Lady in the Water",' },
+  { type: 'remove', text: '      "description": "A bedtime story",' },
+  { type: 'add', text: '      "description": "A bedtime story again",' }
+];
+
+const renderEditor = (props = {}) => render(
+  <I18nProvider>
+    <EpisodeEditor
+      initialRecord={EPISODES_JSON.episodes[2]}
+      originalId={3}
+      miniseries={EPISODES_JSON.miniseries}
+      allTags={[]}
+      allDirectors={[]}
+      onPreview={vi.fn().mockResolvedValue(DIFF)}
+      onSave={vi.fn()}
+      onCancel={vi.fn()}
+      {...props}
+    />
+  </I18nProvider>
+);
+
+describe('EpisodeEditor', () => {
+  it('labels fields and reports form problems in the chosen language', async () => {
+    saveLocalePreferences({ locale: 'es', dateFormat: 'medium' });
+    const user = userEvent.setup();
+    renderEditor();
+
+    await user.click(await screen.findByRole('button', { name: '+ Añadir película' }));
+    await user.type(screen.getByLabelText('Título de la película 2'), 'Signs');
+    await user.click(screen.getByRole('button', { name: '+ Añadir enlace' }));
+    await user.type(screen.getByLabelText('Texto del enlace 1'), 'Escuchar');
+    await user.click(screen.getByRole('button', { name: 'Revisar los cambios' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('La película 2 necesita al menos un director.');
+    expect(screen.getByRole('alert')).toHaveTextContent('El enlace 1 necesita una URL http(s).');
+  });
+
+  it("reviews the route's preview of the file and saves the record", async () => {
+    const onPreview = vi.fn().mockResolvedValue(DIFF);
+    const onSave = vi.fn().mockResolvedValue();
+    const user = userEvent.setup();
+    renderEditor({ onPreview, onSave });
+
+    await user.type(screen.getByLabelText('Description'), ' again');
+    await user.click(screen.getByRole('button', { name: 'Review changes' }));
+    const record = { ...EPISODES_JSON.episodes[2], description: 'A bedtime story again' };
+    expect(onPreview).toHaveBeenCalledWith(record, 3);
+    expect(screen.getByLabelText('Changes to episodes.json')).toHaveTextContent('+ "description": "A bedtime story again"');
+
+    await user.click(screen.getByRole('button', { name: 'Save to episodes.json' }));
+    expect(onSave).toHaveBeenCalledWith(record, 3);
+  });
+
+  it('stays on the form when the preview is rejected', async () => {
+    const onPreview = vi.fn().mockRejectedValue(new Error('Episode is invalid: "miniseries" 7 does not exist'));
+    const user = userEvent.setup();
+    renderEditor({ onPreview });
+
+    await user.click(screen.getByRole('button', { name: 'Review changes' }));
+    expect(await screen.findByRole('alert'))
+      .toHaveTextContent('Couldn\'t preview the change: Episode is invalid: "miniseries" 7 does not exist');
+    expect(screen.getByLabelText('Title')).toBeInTheDocument();
+  });
+
+  it('shows why saving failed', async () => {
+    const onSave = vi.fn().mockRejectedValue(new Error('episodes.json could not be written'));
+    const user = userEvent.setup();
+    renderEditor({ onSave });
+
+    await user.type(screen.getByLabelText('Description'), ' again');
+    await user.click(screen.getByRole('button', { name: 'Review changes' }));
+    await user.click(screen.getByRole('button', { name: 'Save to episodes.json' }));
+
+    expect(await screen.findByRole('alert'))
+      .toHaveTextContent("Couldn't save to episodes.json: episodes.json could not be written");
+  });
+});
@@ -0,0 +1,41 @@
+'use client';
+
+import React from 'react';
+import RatingInput from './RatingInput';
+import { useI18n } from './I18nProvider';
+
+// Listened checkbox, rating and private notes for one episode. `entry` is
+// { listened, rating, notes } from lib/progress.js.
+const EpisodeProgress = ({ entry, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mb-4 p-3 bg-subtle rounded-md text-sm space-y-2">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 font-medium">
+          <input
+            type="checkbox"
+            checked={entry.listened}
+            onChange={(e) => onChange({ listened: e.target.checked })}
+          />
+          {t('progress.listened')}
+        </label>
+        <div className="flex items-center gap-2">
+          <span className="text-muted-foreground">{t('progress.yourRating')}</span>
+          <RatingInput value={entry.rating} onChange={rating => onChange({ rating })} label={t('progress.episodeRating')} />
+        </div>
+      </div>
+      <label className="block">
+        <span className="text-muted-foreground">{t('progress.notes')}</span>
+        <textarea
+          value={entry.notes}
+          onChange={(e) => onChange({ notes: e.target.value })}
+          rows={2}
+          className="mt-1 w-full border rounded-md px-2 py-1 bg-surface"
+        />
+      </label>
+    </div>
+  );
+};
+
+export default EpisodeProgress;
@@ -0,0 +1,36 @@
+'use client';
+
+import React from 'react';
+import { useI18n } from './I18nProvider';
+
+// Plain list of the filtered episodes in chronological order: an accessible
+// alternative to the visual timeline that reads top to bottom
+const EventList = ({ events, getColor, isListened, onSelect }) => {
+  const { t, formatDate } = useI18n();
+
+  return (
+    <ol className="mb-8 divide-y border rounded-md" aria-label={t('list.label')}>
+      {events.map(event => (
+        <li key={event.id}>
+          <button
+            onClick={() => onSelect(event)}
+            className="w-full text-left px-4 py-2 hover:bg-subtle focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+          >
+            <span className="font-medium">{event.title}</span>
+            {event.episodeNumber && <span className="text-muted-foreground"> ({event.episodeNumber})</span>}
+            {isListened(event) && <span className="ml-2 text-xs text-success">{t('list.listened')}</span>}
+            <span className="block text-sm" style={{ color: getColor(event) }}>
+              {event.isBonus ? t('event.bonus') : event.director}
+            </span>
+            <span className="block text-xs text-muted-foreground">
+              {event.date && <>{t('list.filmReleased', { date: formatDate(event.date) })} · </>}
+              {t('list.episodeAired', { date: formatDate(event.episodeDate) })}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default EventList;
@@ -0,0 +1,41 @@
+'use client';
+
+import React from 'react';
+import { formatYearsSinceRelease } from '../lib/i18n.js';
+import Highlight from './Highlight';
+import { useI18n } from './I18nProvider';
+
+// Short summary of a timeline event: title, director, dates, description and
+// tags. Shared by the hover tooltip and the tap-to-preview card on phones.
+const EventSummary = ({ event, color, getTagColor, showEpisodeNumber, highlight }) => {
+  const { t, locale, formatDate } = useI18n();
+
+  return (
+    <>
+      <div className="font-bold"><Highlight text={event.title} tokens={highlight} /> {showEpisodeNumber && event.episodeNumber && `(${event.episodeNumber})`}</div>
+      <div className="text-sm font-medium" style={{ color }}>
+        {event.isBonus ? t('event.bonus') : event.director}
+      </div>
+      <div className="text-xs text-muted-foreground">
+        {event.films.length > 1 && <>{t('summary.films', { titles: event.films.map(film => film.title).join(', ') })}<br/></>}
+        {event.date && <>{t('summary.film', { date: formatDate(event.date) })}<br/></>}
+        {t('summary.episode', { date: formatDate(event.episodeDate) })}
+        {event.yearsSinceRelease !== null && <><br/>{t('summary.covered', { gap: formatYearsSinceRelease(event.yearsSinceRelease, locale) })}</>}
+      </div>
+      <p className="text-sm mt-1"><Highlight text={event.description} tokens={highlight} /></p>
+      <div className="flex flex-wrap gap-1 mt-1">
+        {event.tags.map(tag => (
+          <span 
+            key={tag}
+            className="px-1.5 py-0.5 rounded-full text-xs text-background"
+            style={{ backgroundColor: getTagColor(tag) }}
+          >
+            {tag}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default EventSummary;
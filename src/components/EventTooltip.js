@@ -0,0 +1,32 @@
+'use client';
+
+import React from 'react';
+import EventSummary from './EventSummary';
+import { useI18n } from './I18nProvider';
+
+// Hover card for a timeline event, rendered inside the hovered or focused
+// element (only one at a time), above it unless `placement` is 'below'.
+// `highlight` is the set of search tokens to mark; `id` lets the focusable
+// element reference it with aria-describedby.
+const EventTooltip = ({ id, event, color, getTagColor, showEpisodeNumber, highlight, placement = 'above' }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      id={id}
+      role="tooltip"
+      className={`absolute ${placement === 'below' ? 'top-full mt-2' : 'bottom-full mb-2'} left-1/2 transform -translate-x-1/2 w-64 bg-surface p-2 rounded shadow-lg z-50 pointer-events-none`}
+    >
+      <EventSummary
+        event={event}
+        color={color}
+        getTagColor={getTagColor}
+        showEpisodeNumber={showEpisodeNumber}
+        highlight={highlight}
+      />
+      <div className="mt-1 text-xs text-accent">{t('timeline.moreDetails')}</div>
+    </div>
+  );
+};
+
+export default EventTooltip;
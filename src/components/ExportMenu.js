@@ -0,0 +1,116 @@
+'use client';
+
+import React, { useState } from 'react';
+import { AlertTriangle, Download } from 'lucide-react';
+import { toCSV, toJSON, toICal } from '../lib/exporters.js';
+import { downloadBlob } from '../lib/download.js';
+import { useI18n } from './I18nProvider';
+
+const FILENAME = 'blank-check-timeline';
+
+// PNG exports are rendered at this multiple of the on-screen size
+const PNG_SCALE = 2;
+
+// Rasterize an SVG string by drawing it onto a canvas
+const svgToPng = (svg) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * PNG_SCALE;
+    canvas.height = image.height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render SVG'));
+  };
+  image.src = url;
+});
+
+// Export menu for the filtered episodes (`events`, with their `miniseries`
+// for JSON) and an image of the visible timeline (`getSVG` builds it on
+// demand). A failed export keeps the menu open with an alert.
+const ExportMenu = ({ events, miniseries, getSVG }) => {
+  const [open, setOpen] = useState(false);
+  const [failedFormat, setFailedFormat] = useState(null); // id of the last export that failed
+  const { t } = useI18n();
+
+  const close = () => {
+    setOpen(false);
+    setFailedFormat(null);
+  };
+
+  const formats = [
+    { id: 'csv', run: () => downloadBlob(new Blob([toCSV(events)], { type: 'text/csv' }), `${FILENAME}.csv`) },
+    { id: 'json', run: () => downloadBlob(new Blob([toJSON(events, miniseries)], { type: 'application/json' }), `${FILENAME}.json`) },
+    { id: 'ical', run: () => downloadBlob(new Blob([toICal(events)], { type: 'text/calendar' }), `${FILENAME}.ics`) },
+    { id: 'svg', run: () => downloadBlob(new Blob([getSVG()], { type: 'image/svg+xml' }), `${FILENAME}.svg`) },
+    { id: 'png', run: async () => downloadBlob(await svgToPng(getSVG()), `${FILENAME}.png`) }
+  ];
+
+  const handleSelect = async (format) => {
+    setFailedFormat(null);
+    try {
+      await format.run();
+      close();
+    } catch {
+      setFailedFormat(format.id);
+    }
+  };
+
+  return (
+    <div
+      className="relative"
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          close();
+        }
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          close();
+        }
+      }}
+    >
+      <button
+        onClick={() => (open ? close() : setOpen(true))}
+        className="flex items-center gap-1 px-3 py-1 text-sm border rounded-md bg-muted hover:bg-muted-hover"
+        aria-expanded={open}
+        aria-controls="export-menu"
+        disabled={events.length === 0}
+      >
+        <Download size={16} aria-hidden="true" /> {t('export.button')}
+      </button>
+      {open && (
+        <ul id="export-menu" className="absolute right-0 top-full mt-1 w-52 bg-surface border rounded-md shadow-lg z-40 py-1 text-sm">
+          <li className="px-3 py-1 text-xs text-muted-foreground">
+            {t('export.count', { count: events.length })}
+          </li>
+          {failedFormat && (
+            <li className="flex items-start gap-2 px-3 py-1 text-danger" role="alert">
+              <AlertTriangle size={16} className="shrink-0 mt-0.5" aria-hidden="true" />
+              {t('export.failed', { format: t(`export.${failedFormat}`) })}
+            </li>
+          )}
+          {formats.map(format => (
+            <li key={format.id}>
+              <button
+                onClick={() => handleSelect(format)}
+                className="w-full text-left px-3 py-1 hover:bg-muted"
+              >
+                {t(`export.${format.id}`)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
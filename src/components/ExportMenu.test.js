@@ -0,0 +1,46 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ExportMenu from './ExportMenu';
+import I18nProvider from './I18nProvider';
+import { downloadBlob } from '../lib/download.js';
+import { loadFixture } from '../test/fixtures.js';
+
+vi.mock('../lib/download.js', () => ({ downloadBlob: vi.fn() }));
+
+const { events, miniseries } = loadFixture();
+
+const renderMenu = (getSVG = () => '<svg></svg>') => render(
+  <I18nProvider>
+    <ExportMenu events={events} miniseries={miniseries} getSVG={getSVG} />
+  </I18nProvider>
+);
+
+describe('ExportMenu', () => {
+  it('downloads the chosen format and closes', async () => {
+    const user = userEvent.setup();
+    renderMenu();
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+    await user.click(screen.getByRole('button', { name: 'CSV (spreadsheet)' }));
+    expect(downloadBlob).toHaveBeenCalledWith(expect.any(Blob), 'blank-check-timeline.csv');
+    expect(screen.queryByRole('button', { name: 'JSON' })).not.toBeInTheDocument();
+  });
+
+  it('keeps the menu open with an alert when an export fails', async () => {
+    const user = userEvent.setup();
+    renderMenu(() => {
+      throw new Error('No timeline to draw');
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+    await user.click(screen.getByRole('button', { name: 'SVG image' }));
+    expect(screen.getByRole('alert'))
+      .toHaveTextContent("Couldn't export SVG image. Try again or choose another format.");
+
+    // Another attempt clears it
+    await user.click(screen.getByRole('button', { name: 'JSON' }));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
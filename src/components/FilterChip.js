@@ -0,0 +1,40 @@
+'use client';
+
+import React from 'react';
+import { useI18n } from './I18nProvider';
+
+// Director or tag chip that cycles off -> include -> exclude. Included chips
+// are filled with the color, excluded ones are struck through. `badge` is
+// extra text after the label, such as listening progress.
+const FilterChip = ({ label, color, state, badge, onClick }) => {
+  const { t } = useI18n();
+
+  return (
+    <button
+      onClick={onClick}
+      className={`px-3 py-1 rounded-full text-sm border ${
+        state === 'include'
+          ? 'text-background border-transparent'
+          : state === 'exclude'
+            ? 'text-muted-foreground line-through border-dashed'
+            : 'text-foreground border-transparent bg-opacity-20 hover:bg-opacity-30'
+      }`}
+      style={{ 
+        backgroundColor: state === 'include'
+          ? color
+          : state === 'exclude'
+            ? 'transparent'
+            : `${color}40`, // 25% opacity
+        borderColor: state === 'exclude' ? color : undefined
+      }}
+      title={t('chip.title', { label, state: t(`chip.${state || 'off'}`) })}
+      aria-pressed={state === 'include' ? 'true' : state === 'exclude' ? 'mixed' : 'false'}
+    >
+      {state === 'exclude' && <span aria-hidden="true">− </span>}
+      {label}
+      {badge && <span className="ml-1 text-xs opacity-75">{badge}</span>}
+    </button>
+  );
+};
+
+export default FilterChip;
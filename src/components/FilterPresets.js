@@ -0,0 +1,80 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { loadPresets, savePreset, deletePreset } from '../lib/presets.js';
+import { useI18n } from './I18nProvider';
+
+// Save the current filters under a name and reapply saved ones
+const FilterPresets = ({ filters, onApply }) => {
+  const [presets, setPresets] = useState([]);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+  const { t } = useI18n();
+
+  // localStorage is only available after mount
+  useEffect(() => {
+    setPresets(loadPresets());
+  }, []);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      return;
+    }
+    setPresets(savePreset(name, filters));
+    setSelected(name.trim());
+    setName('');
+  };
+
+  const handleApply = (presetName) => {
+    setSelected(presetName);
+    const preset = presets.find(p => p.name === presetName);
+    if (preset) {
+      onApply(preset.filters);
+    }
+  };
+
+  const handleDelete = () => {
+    setPresets(deletePreset(selected));
+    setSelected('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select
+        value={selected}
+        onChange={(e) => handleApply(e.target.value)}
+        className="border rounded-md px-2 py-1"
+        aria-label={t('presets.label')}
+      >
+        <option value="">{presets.length > 0 ? t('presets.apply') : t('presets.none')}</option>
+        {presets.map(preset => (
+          <option key={preset.name} value={preset.name}>{preset.name}</option>
+        ))}
+      </select>
+      {selected && (
+        <button onClick={handleDelete} className="px-2 py-1 rounded-md bg-muted hover:bg-muted-hover">
+          {t('presets.delete')}
+        </button>
+      )}
+      <form onSubmit={handleSave} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('presets.name')}
+          className="border rounded-md px-2 py-1 w-40"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-2 py-1 rounded-md bg-accent text-accent-foreground disabled:opacity-50"
+        >
+          {t('presets.save')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default FilterPresets;
@@ -0,0 +1,17 @@
+'use client';
+
+import React from 'react';
+import { splitHighlights } from '../lib/search.js';
+
+// Text with the words matched by the current search marked
+const Highlight = ({ text, tokens }) => (
+  <>
+    {splitHighlights(text, tokens).map((part, index) => (
+      part.match
+        ? <mark key={index} className="bg-mark text-mark-foreground rounded-sm">{part.text}</mark>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default Highlight;
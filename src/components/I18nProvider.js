@@ -0,0 +1,61 @@
+'use client';
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  DEFAULT_LOCALE, DEFAULT_DATE_FORMAT, createTranslator, formatDateOnly, matchLocale,
+  loadLocalePreferences, saveLocalePreferences
+} from '../lib/i18n.js';
+
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dateFormat: DEFAULT_DATE_FORMAT,
+  setLocale: () => {},
+  setDateFormat: () => {},
+  t: createTranslator(DEFAULT_LOCALE),
+  formatDate: (date) => formatDateOnly(date)
+});
+
+// Locale state for the whole app: the language (stored, or matched from the
+// browser's languages) and date format, with `t` for messages and
+// `formatDate` for date-only values. Keeps <html lang> in sync.
+const I18nProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState({ locale: null, dateFormat: DEFAULT_DATE_FORMAT });
+  const [browserLocale, setBrowserLocale] = useState(DEFAULT_LOCALE);
+
+  // Stored preferences and browser languages are only available after mount
+  useEffect(() => {
+    setPreferences(loadLocalePreferences());
+    setBrowserLocale(matchLocale(navigator.languages || [navigator.language]));
+  }, []);
+
+  const locale = preferences.locale || browserLocale;
+  const { dateFormat } = preferences;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const update = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...changes };
+      saveLocalePreferences(next);
+      return next;
+    });
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    dateFormat,
+    setLocale: (next) => update({ locale: next }),
+    setDateFormat: (next) => update({ dateFormat: next }),
+    t: createTranslator(locale),
+    formatDate: (date) => formatDateOnly(date, locale, dateFormat)
+  }), [locale, dateFormat, update]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// Current locale state (see I18nProvider)
+export const useI18n = () => useContext(I18nContext);
+
+export default I18nProvider;
@@ -0,0 +1,83 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { formatYearsSinceRelease } from '../lib/i18n.js';
+import { useI18n } from './I18nProvider';
+
+// Sortable columns (labelled by the lag.* messages) and the value compared for each event
+const COLUMNS = [
+  { key: 'title', value: event => event.title.toLowerCase() },
+  { key: 'director', value: event => event.director.toLowerCase() },
+  { key: 'date', value: event => event.date.getTime() },
+  { key: 'episodeDate', value: event => event.episodeDate.getTime() },
+  { key: 'yearsSinceRelease', value: event => event.yearsSinceRelease }
+];
+
+// Table of each film's release-to-episode gap, sortable by any column
+const LagTable = ({ events, getColor, onSelect }) => {
+  const [sort, setSort] = useState({ key: 'yearsSinceRelease', direction: 'desc' });
+  const { t, locale, formatDate } = useI18n();
+
+  const sorted = useMemo(() => {
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return [...events].sort((a, b) => {
+      const left = column.value(a);
+      const right = column.value(b);
+      const order = left < right ? -1 : left > right ? 1 : 0;
+      return sort.direction === 'asc' ? order : -order;
+    });
+  }, [events, sort]);
+
+  // Clicking the active column flips direction; a new column starts descending for numbers
+  const toggleSort = (key) => {
+    setSort(prev => (
+      prev.key === key
+        ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: key === 'title' || key === 'director' ? 'asc' : 'desc' }
+    ));
+  };
+
+  return (
+    <div className="mb-8 overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b">
+            {COLUMNS.map(c => (
+              <th
+                key={c.key}
+                className="text-left font-semibold py-2 pr-4"
+                aria-sort={sort.key === c.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                <button onClick={() => toggleSort(c.key)} className="hover:underline">
+                  {t(`lag.${c.key}`)}
+                  {sort.key === c.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map(event => (
+            // The whole row opens the episode; the title button makes that
+            // reachable from the keyboard (its clicks bubble up to the row)
+            <tr
+              key={event.id}
+              className="border-b hover:bg-subtle cursor-pointer"
+              onClick={() => onSelect(event)}
+            >
+              <td className="py-1 pr-4 font-medium">
+                <button type="button" className="text-left hover:underline">{event.title}</button>
+              </td>
+              <td className="py-1 pr-4" style={{ color: getColor(event) }}>{event.director}</td>
+              <td className="py-1 pr-4 text-muted-foreground">{formatDate(event.date)}</td>
+              <td className="py-1 pr-4 text-muted-foreground">{formatDate(event.episodeDate)}</td>
+              <td className="py-1 pr-4">{formatYearsSinceRelease(event.yearsSinceRelease, locale)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LagTable;
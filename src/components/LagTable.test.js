@@ -0,0 +1,67 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LagTable from './LagTable';
+import I18nProvider from './I18nProvider';
+import { loadFixture } from '../test/fixtures.js';
+
+const films = loadFixture().events.filter(event => !event.isBonus);
+
+const renderTable = (onSelect = vi.fn()) => {
+  render(
+    <I18nProvider>
+      <LagTable events={films} getColor={() => '#000000'} onSelect={onSelect} />
+    </I18nProvider>
+  );
+  return onSelect;
+};
+
+// Titles in the order the rows show them
+const rowTitles = () => screen.getAllByRole('row').slice(1)
+  .map(row => within(row).getAllByRole('cell')[0].textContent);
+
+describe('LagTable', () => {
+  it('sorts by the years between release and episode, longest first', () => {
+    renderTable();
+    expect(rowTitles()).toEqual(['The Phantom Menace', 'Attack of the Clones', 'Lady in the Water', 'Jaws']);
+  });
+
+  it('sorts by a column and flips the direction on a second click', async () => {
+    const user = userEvent.setup();
+    renderTable();
+
+    await user.click(screen.getByRole('button', { name: 'Episode' }));
+    expect(rowTitles()).toEqual(['Attack of the Clones', 'Jaws', 'Lady in the Water', 'The Phantom Menace']);
+    await user.click(screen.getByRole('button', { name: 'Episode ▲' }));
+    expect(rowTitles()).toEqual(['The Phantom Menace', 'Lady in the Water', 'Jaws', 'Attack of the Clones']);
+  });
+
+  it('opens an episode by clicking its row', async () => {
+    const user = userEvent.setup();
+    const onSelect = renderTable();
+
+    await user.click(screen.getByRole('cell', { name: 'Steven Spielberg' }));
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    expect(onSelect.mock.calls[0][0].id).toBe(4);
+  });
+
+  it('opens an episode from the keyboard', async () => {
+    const user = userEvent.setup();
+    const onSelect = renderTable();
+
+    // Past the five column headers
+    for (let i = 0; i < 6; i++) {
+      await user.tab();
+    }
+    expect(screen.getByRole('button', { name: 'The Phantom Menace' })).toHaveFocus();
+    await user.keyboard('{Enter}');
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    expect(onSelect.mock.calls[0][0].id).toBe(1);
+
+    await user.tab();
+    await user.keyboard(' ');
+    expect(onSelect).toHaveBeenCalledTimes(2);
+    expect(onSelect.mock.calls[1][0].id).toBe(2);
+  });
+});
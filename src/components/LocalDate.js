@@ -0,0 +1,12 @@
+'use client';
+
+import { useI18n } from './I18nProvider';
+
+// Date-only value in the chosen locale and date format, for server-rendered
+// pages that can't call useI18n
+const LocalDate = ({ date }) => {
+  const { formatDate } = useI18n();
+  return formatDate(date);
+};
+
+export default LocalDate;
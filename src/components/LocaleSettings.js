@@ -0,0 +1,44 @@
+'use client';
+
+import React from 'react';
+import { DATE_FORMATS, LOCALE_NAMES, formatDateOnly } from '../lib/i18n.js';
+import { useI18n } from './I18nProvider';
+
+// Shown as the example for each date format
+const SAMPLE_DATE = new Date(Date.UTC(1999, 4, 19));
+
+// Language and date format pickers
+const LocaleSettings = () => {
+  const { locale, setLocale, dateFormat, setDateFormat, t } = useI18n();
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm">
+      <label className="flex items-center gap-2">
+        <span className="text-muted-foreground">{t('settings.language')}</span>
+        <select
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+          className="border rounded-md px-2 py-1 bg-surface"
+        >
+          {Object.entries(LOCALE_NAMES).map(([value, name]) => (
+            <option key={value} value={value} lang={value}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="text-muted-foreground">{t('settings.dateFormat')}</span>
+        <select
+          value={dateFormat}
+          onChange={(e) => setDateFormat(e.target.value)}
+          className="border rounded-md px-2 py-1 bg-surface"
+        >
+          {Object.keys(DATE_FORMATS).map(format => (
+            <option key={format} value={format}>{formatDateOnly(SAMPLE_DATE, locale, format)}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default LocaleSettings;
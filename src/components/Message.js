@@ -0,0 +1,23 @@
+'use client';
+
+import React from 'react';
+import { useI18n } from './I18nProvider';
+
+// Catalog message in the current locale, for server-rendered pages that
+// can't call useI18n. Params that aren't strings or numbers (elements such
+// as a <LocalDate>) are placed where the message puts their placeholder.
+const Message = ({ id, params = {} }) => {
+  const { t } = useI18n();
+  const textParams = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+  );
+
+  return t(id, textParams).split(/(\{\w+\})/).map((part, index) => {
+    const name = part.match(/^\{(\w+)\}$/)?.[1];
+    return name && Object.hasOwn(params, name)
+      ? <React.Fragment key={index}>{params[name]}</React.Fragment>
+      : part;
+  });
+};
+
+export default Message;
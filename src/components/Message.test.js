@@ -0,0 +1,27 @@
+import React from 'react';
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import Message from './Message';
+import LocalDate from './LocalDate';
+import I18nProvider from './I18nProvider';
+import { saveLocalePreferences } from '../lib/i18n.js';
+import { parseISODate } from '../lib/episodes.js';
+
+const renderIn = (locale, children) => {
+  saveLocalePreferences({ locale, dateFormat: 'long' });
+  return render(<I18nProvider><p>{children}</p></I18nProvider>);
+};
+
+describe('Message', () => {
+  it('renders a message in the chosen language', async () => {
+    renderIn('es', <Message id="modal.miniseries" params={{ name: 'Precuelas' }} />);
+    expect(await screen.findByText('Miniserie: Precuelas')).toBeInTheDocument();
+  });
+
+  it('places element params where the message puts them', async () => {
+    const date = <LocalDate date={parseISODate('1999-05-19')} />;
+    const { container } = renderIn('es', <Message id="summary.film" params={{ date }} />);
+    await screen.findByText(/mayo/);
+    expect(container).toHaveTextContent('Película: 19 de mayo de 1999');
+  });
+});
@@ -0,0 +1,69 @@
+'use client';
+
+import React, { useRef } from 'react';
+import { useI18n } from './I18nProvider';
+
+// Ticks closer than this (percent of the strip) are drawn once per color
+const TICK_RESOLUTION = 0.2;
+
+// Overview strip of the whole timeline. Shows every plotted event as a tick
+// and the currently visible window; click or drag to move the window.
+const Minimap = ({ events, getPosition, getColor, viewport, onNavigate }) => {
+  const stripRef = useRef(null);
+  const { t } = useI18n();
+
+  // One tick per color and resolution step, so large datasets stay cheap
+  const ticks = new Map();
+  events.forEach(event => {
+    const position = Math.round(getPosition(event) / TICK_RESOLUTION) * TICK_RESOLUTION;
+    const color = getColor(event);
+    ticks.set(`${position}|${color}`, { position, color });
+  });
+
+  // Navigate so the window is centered on the pointer
+  const navigateTo = (clientX) => {
+    const rect = stripRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    onNavigate(fraction);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    navigateTo(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      navigateTo(e.clientX);
+    }
+  };
+
+  return (
+    <div
+      ref={stripRef}
+      className="relative h-6 mb-8 bg-muted rounded cursor-pointer select-none touch-none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      title={t('timeline.overview')}
+    >
+      {[...ticks].map(([key, tick]) => (
+        <div
+          key={key}
+          className="absolute top-1 bottom-1 w-0.5"
+          style={{ left: `${tick.position}%`, backgroundColor: tick.color }}
+        ></div>
+      ))}
+
+      {/* Visible window */}
+      <div
+        className="absolute top-0 bottom-0 border-2 border-accent bg-accent/10 rounded pointer-events-none"
+        style={{
+          left: `${viewport.start}%`,
+          width: `${Math.max(viewport.end - viewport.start, 0.5)}%`
+        }}
+      ></div>
+    </div>
+  );
+};
+
+export default Minimap;
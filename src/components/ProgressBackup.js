@@ -0,0 +1,64 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import { exportProgress, importProgress } from '../lib/progress.js';
+import { downloadBlob } from '../lib/download.js';
+import { useI18n } from './I18nProvider';
+
+// Messages for importProgress error codes; anything else (such as an
+// unreadable file) gets the generic one
+const IMPORT_ERROR_KEYS = {
+  'invalid-json': 'progress.importInvalidJson',
+  'not-a-backup': 'progress.importNotBackup'
+};
+
+// Listening totals with backup and restore of the progress data
+const ProgressBackup = ({ progress, listened, total, onImport }) => {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null); // message key
+  const { t } = useI18n();
+
+  const handleExport = () => {
+    downloadBlob(
+      new Blob([exportProgress(progress)], { type: 'application/json' }),
+      'blank-check-progress.json'
+    );
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      onImport(importProgress(await file.text()));
+      setError(null);
+    } catch (importError) {
+      setError(IMPORT_ERROR_KEYS[importError.code] || 'progress.importFailed');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium">{t('progress.listenedCount', { listened, total })}</span>
+      <button onClick={handleExport} className="px-2 py-1 rounded-md bg-muted hover:bg-muted-hover">
+        {t('progress.backup')}
+      </button>
+      <button onClick={() => fileRef.current.click()} className="px-2 py-1 rounded-md bg-muted hover:bg-muted-hover">
+        {t('progress.restore')}
+      </button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleImport}
+        className="hidden"
+        aria-label={t('progress.file')}
+      />
+      {error && <span className="text-danger" role="alert">{t(error)}</span>}
+    </div>
+  );
+};
+
+export default ProgressBackup;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ProgressBackup from './ProgressBackup';
+import I18nProvider from './I18nProvider';
+import { EMPTY_PROGRESS } from '../lib/progress.js';
+import { saveLocalePreferences } from '../lib/i18n.js';
+
+const renderBackup = (onImport = vi.fn()) => render(
+  <I18nProvider>
+    <ProgressBackup progress={EMPTY_PROGRESS} listened={0} total={5} onImport={onImport} />
+  </I18nProvider>
+);
+
+// jsdom's File has no text()
+const backupFile = (text) => Object.assign(
+  new File([text], 'backup.json', { type: 'application/json' }),
+  { text: () => Promise.resolve(text) }
+);
+
+describe('ProgressBackup', () => {
+  it('restores a backup file', async () => {
+    const onImport = vi.fn();
+    const user = userEvent.setup();
+    renderBackup(onImport);
+
+    await user.upload(screen.getByLabelText('Progress backup file'), backupFile('{"episodes": {}, "films": {}}'));
+    await waitFor(() => expect(onImport).toHaveBeenCalledTimes(1));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('explains why a file was rejected in the chosen language', async () => {
+    saveLocalePreferences({ locale: 'es', dateFormat: 'medium' });
+    const onImport = vi.fn();
+    const user = userEvent.setup();
+    renderBackup(onImport);
+    const input = await screen.findByLabelText('Archivo de copia de seguridad');
+
+    await user.upload(input, backupFile('not json'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('El archivo no es JSON válido.');
+
+    await user.upload(input, backupFile('{"ratings": []}'));
+    await waitFor(() => expect(screen.getByRole('alert'))
+      .toHaveTextContent('El archivo no es una copia de seguridad del progreso.'));
+    expect(onImport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,30 @@
+'use client';
+
+import React from 'react';
+import { Star } from 'lucide-react';
+import { MAX_RATING } from '../lib/progress.js';
+import { useI18n } from './I18nProvider';
+
+// 1-5 star rating; choosing the current rating again clears it
+const RatingInput = ({ value, onChange, label }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex items-center" role="group" aria-label={label}>
+      {Array.from({ length: MAX_RATING }, (_, i) => i + 1).map(rating => (
+        <button
+          key={rating}
+          type="button"
+          onClick={() => onChange(rating === value ? null : rating)}
+          className="p-0.5 text-star hover:scale-110"
+          aria-label={t('rating.stars', { count: rating })}
+          aria-pressed={value !== null && rating <= value}
+        >
+          <Star size={16} fill={value !== null && rating <= value ? 'currentColor' : 'none'} aria-hidden="true" />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default RatingInput;
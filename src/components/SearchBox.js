@@ -0,0 +1,105 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import Highlight from './Highlight';
+import { useI18n } from './I18nProvider';
+
+// Results shown in the dropdown
+const MAX_RESULTS = 8;
+
+// Search input with a relevance-ordered results dropdown. `results` are
+// search results ({ event, score, tokens }) or null when there's no query.
+const SearchBox = ({ value, onChange, results, onSelect, getColor }) => {
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const { t } = useI18n();
+
+  const shown = results ? results.slice(0, MAX_RESULTS) : [];
+  const showDropdown = open && results !== null;
+
+  const select = (result) => {
+    onSelect(result.event);
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(prev => Math.min(prev + 1, shown.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, -1));
+    } else if (e.key === 'Enter' && activeIndex >= 0 && shown[activeIndex]) {
+      e.preventDefault();
+      select(shown[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-full sm:w-auto">
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground" size={18} />
+      <input
+        type="text"
+        placeholder={t('search.placeholder')}
+        className="pl-10 pr-4 py-2 border rounded-md w-full sm:w-80"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="search-results"
+        aria-autocomplete="list"
+        title={t('search.fields')}
+      />
+
+      {showDropdown && (
+        <ul
+          id="search-results"
+          role="listbox"
+          className="absolute left-0 top-full mt-1 w-full sm:w-96 max-h-80 overflow-y-auto bg-surface border rounded-md shadow-lg z-40"
+        >
+          {shown.length === 0 && (
+            <li className="px-3 py-2 text-sm text-muted-foreground">{t('search.noMatches')}</li>
+          )}
+          {shown.map((result, index) => (
+            <li
+              key={result.event.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`px-3 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-muted' : 'hover:bg-subtle'}`}
+              // Keep focus in the input so the dropdown doesn't close before the click
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => select(result)}
+            >
+              <div className="font-medium">
+                <Highlight text={result.event.title} tokens={result.tokens} />
+                {result.event.episodeNumber && <span className="text-muted-foreground"> {result.event.episodeNumber}</span>}
+              </div>
+              <div className="text-xs" style={{ color: getColor(result.event) }}>
+                {result.event.isBonus ? t('event.bonus') : <Highlight text={result.event.director} tokens={result.tokens} />}
+              </div>
+            </li>
+          ))}
+          {results.length > shown.length && (
+            <li className="px-3 py-1 text-xs text-muted-foreground">
+              {t('search.more', { count: results.length - shown.length })}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,21 @@
+'use client';
+
+import { useEffect } from 'react';
+
+// Registers public/sw.js, which caches the timeline for offline use. Skipped
+// in development, where cached pages and chunks would get in the way of
+// hot reloading.
+const ServiceWorkerRegistration = () => {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+      return;
+    }
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  }, []);
+
+  return null;
+};
+
+export default ServiceWorkerRegistration;
@@ -0,0 +1,148 @@
+'use client';
+
+import React, { useMemo } from 'react';
+import { computeStats } from '../lib/stats.js';
+import { formatYearsSinceRelease } from '../lib/i18n.js';
+import { useI18n } from './I18nProvider';
+
+// Rows shown in the ranked (horizontal) charts
+const MAX_ROWS = 15;
+
+// Horizontal bars for a ranked list of [{ key, count }]
+const RankedChart = ({ title, rows, getColor }) => {
+  const { t } = useI18n();
+  const max = Math.max(1, ...rows.map(row => row.count));
+  return (
+    <section>
+      <h3 className="font-semibold mb-2">{title}</h3>
+      {rows.length === 0 && <p className="text-sm text-muted-foreground">{t('stats.noData')}</p>}
+      <ul className="space-y-1 text-sm">
+        {rows.slice(0, MAX_ROWS).map(row => (
+          <li key={row.key} className="flex items-center gap-2">
+            <span className="w-40 truncate" title={row.key}>{row.key}</span>
+            <span className="flex-1 h-4 bg-muted rounded">
+              <span
+                className="block h-full rounded"
+                style={{ width: `${(row.count / max) * 100}%`, backgroundColor: getColor(row.key) }}
+              ></span>
+            </span>
+            <span className="w-8 text-right text-muted-foreground">{row.count}</span>
+          </li>
+        ))}
+      </ul>
+      {rows.length > MAX_ROWS && (
+        <p className="text-xs text-muted-foreground mt-1">{t('stats.more', { count: rows.length - MAX_ROWS })}</p>
+      )}
+    </section>
+  );
+};
+
+// Vertical columns for [{ label, count, title }]
+const ColumnChart = ({ title, columns }) => {
+  const { t } = useI18n();
+  const max = Math.max(1, ...columns.map(column => column.count));
+  return (
+    <section>
+      <h3 className="font-semibold mb-2">{title}</h3>
+      {columns.length === 0 && <p className="text-sm text-muted-foreground">{t('stats.noData')}</p>}
+      <div className="flex items-end gap-1 h-40">
+        {columns.map(column => (
+          <div
+            key={column.label}
+            className="flex-1 flex flex-col items-center justify-end h-full min-w-0"
+            title={column.title}
+          >
+            <span className="text-xs text-muted-foreground">{column.count > 0 ? column.count : ''}</span>
+            <span
+              className="w-full rounded-t bg-accent"
+              style={{ height: `${(column.count / max) * 100}%` }}
+            ></span>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {columns.map(column => (
+          <span key={column.label} className="flex-1 min-w-0 text-center text-xs text-muted-foreground truncate">
+            {column.label}
+          </span>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+const Summary = ({ label, value }) => (
+  <div className="bg-subtle rounded-md px-4 py-2">
+    <div className="text-2xl font-bold">{value}</div>
+    <div className="text-xs text-muted-foreground">{label}</div>
+  </div>
+);
+
+// Aggregates of the currently filtered episodes: totals, episodes per year
+// (with each year's top tags), tag and director counts and a lag histogram
+const StatsDashboard = ({ events, getDirectorColor, getTagColor }) => {
+  const stats = useMemo(() => computeStats(events), [events]);
+  const { t, locale } = useI18n();
+
+  const yearColumns = stats.perYear.map(({ year, count, tags }) => ({
+    label: String(year),
+    count,
+    title: t('stats.yearColumn', { year, count }) +
+      (tags.length > 0 ? t('stats.yearTopTags', { tags: tags.map(tag => `${tag.key} (${tag.count})`).join(', ') }) : '')
+  }));
+
+  const lagColumns = stats.lags.map(({ from, to, count }) => ({
+    label: `${from}–${to}`,
+    count,
+    title: t('stats.lagColumn', { from, to, count })
+  }));
+
+  return (
+    <div className="mb-8 space-y-6">
+      <div className="flex flex-wrap gap-4">
+        <Summary label={t('stats.episodes')} value={stats.episodeCount} />
+        <Summary label={t('stats.films')} value={stats.filmCount} />
+        <Summary label={t('stats.directors')} value={stats.directors.length} />
+        <Summary label={t('stats.bonus')} value={stats.bonusCount} />
+        <Summary
+          label={t('stats.averageGap')}
+          value={stats.averageLag === null
+            ? '—'
+            : `${formatYearsSinceRelease(stats.averageLag, locale)} (${formatYearsSinceRelease(stats.medianLag, locale)})`}
+        />
+      </div>
+
+      <div className="grid gap-8 md:grid-cols-2">
+        <ColumnChart title={t('stats.perYear')} columns={yearColumns} />
+        <ColumnChart title={t('stats.lags')} columns={lagColumns} />
+        <RankedChart title={t('stats.perDirector')} rows={stats.directors} getColor={getDirectorColor} />
+        <RankedChart title={t('stats.tags')} rows={stats.tags} getColor={getTagColor} />
+      </div>
+
+      {/* Which genres dominate each year of the show */}
+      {stats.perYear.some(year => year.tags.length > 0) && (
+        <section>
+          <h3 className="font-semibold mb-2">{t('stats.topTagsByYear')}</h3>
+          <ul className="space-y-1 text-sm">
+            {stats.perYear.filter(year => year.tags.length > 0).map(({ year, tags }) => (
+              <li key={year} className="flex flex-wrap items-center gap-2">
+                <span className="w-12 font-medium">{year}</span>
+                {tags.map(tag => (
+                  <span
+                    key={tag.key}
+                    className="px-2 py-0.5 rounded-full text-xs text-foreground"
+                    style={{ backgroundColor: `${getTagColor(tag.key)}40` }}
+                  >
+                    {tag.key} ({tag.count})
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
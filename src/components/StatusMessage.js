@@ -0,0 +1,32 @@
+'use client';
+
+import React from 'react';
+import { AlertTriangle, Info } from 'lucide-react';
+
+const TONES = {
+  error: { Icon: AlertTriangle, className: 'border-danger text-danger', role: 'alert' },
+  info: { Icon: Info, className: 'text-muted-foreground', role: 'status' }
+};
+
+// Boxed message for a state of the whole page (load failed, no data) with an
+// optional action such as Retry
+const StatusMessage = ({ tone = 'info', title, detail, actionLabel, onAction }) => {
+  const { Icon, className, role } = TONES[tone];
+
+  return (
+    <div className={`flex items-start gap-3 mb-4 p-4 border rounded-md bg-subtle ${className}`} role={role}>
+      <Icon size={20} className="shrink-0 mt-0.5" aria-hidden="true" />
+      <div className="flex-1">
+        <p className="font-semibold">{title}</p>
+        {detail && <p className="text-sm mt-1 text-muted-foreground">{detail}</p>}
+      </div>
+      {onAction && (
+        <button onClick={onAction} className="px-3 py-1 text-sm rounded-md bg-accent text-accent-foreground">
+          {actionLabel}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default StatusMessage;
@@ -0,0 +1,62 @@
+'use client';
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  DARK_QUERY, CONTRAST_QUERY, adjustColor, resolveTheme, loadThemePreference, saveThemePreference
+} from '../lib/theme.js';
+
+const ThemeContext = createContext({
+  preference: 'system',
+  theme: 'light',
+  setPreference: () => {},
+  adjustColor: (color) => color
+});
+
+// Theme state for the whole app: the stored preference, the theme it resolves
+// to (following system settings for "system"), and `adjustColor` for data
+// colors. Keeps <html data-theme> in sync.
+const ThemeProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState('system');
+  const [system, setSystem] = useState({ prefersDark: false, prefersContrast: false });
+
+  // Stored preference and system settings are only available after mount
+  useEffect(() => {
+    setPreferenceState(loadThemePreference());
+
+    const dark = window.matchMedia(DARK_QUERY);
+    const contrast = window.matchMedia(CONTRAST_QUERY);
+    const update = () => setSystem({ prefersDark: dark.matches, prefersContrast: contrast.matches });
+    update();
+    dark.addEventListener('change', update);
+    contrast.addEventListener('change', update);
+    return () => {
+      dark.removeEventListener('change', update);
+      contrast.removeEventListener('change', update);
+    };
+  }, []);
+
+  const theme = resolveTheme(preference, system);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next);
+    saveThemePreference(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    preference,
+    theme,
+    setPreference,
+    adjustColor: (color) => adjustColor(color, theme)
+  }), [preference, theme, setPreference]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+// Current theme state (see ThemeProvider)
+export const useTheme = () => useContext(ThemeContext);
+
+export default ThemeProvider;
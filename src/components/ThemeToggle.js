@@ -0,0 +1,29 @@
+'use client';
+
+import React from 'react';
+import { THEME_PREFERENCES } from '../lib/theme.js';
+import { useTheme } from './ThemeProvider';
+import { useI18n } from './I18nProvider';
+
+// Theme picker: follow the system, or force light, dark or high contrast
+const ThemeToggle = () => {
+  const { preference, setPreference } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <span className="text-muted-foreground">{t('theme.label')}</span>
+      <select
+        value={preference}
+        onChange={(e) => setPreference(e.target.value)}
+        className="border rounded-md px-2 py-1 bg-surface"
+      >
+        {THEME_PREFERENCES.map(value => (
+          <option key={value} value={value}>{t(`theme.${value}`)}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ThemeToggle;
@@ -0,0 +1,13 @@
+'use client';
+
+import React from 'react';
+import { useTheme } from './ThemeProvider';
+
+// Text in a data color (such as a director's), adjusted for contrast with
+// the active theme. For server-rendered pages that can't call useTheme.
+const ThemedColor = ({ color, className = '', children }) => {
+  const { adjustColor } = useTheme();
+  return <span className={className} style={{ color: adjustColor(color) }}>{children}</span>;
+};
+
+export default ThemedColor;
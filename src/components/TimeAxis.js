@@ -0,0 +1,26 @@
+'use client';
+
+import React from 'react';
+
+// Axis along the bottom (or top) of the timeline. Ticks come from
+// generateTicks in lib/axis.js and are positioned with the same scale as the events.
+const TimeAxis = ({ ticks, position = 'bottom' }) => (
+  <div className={`absolute inset-x-0 h-8 pointer-events-none ${position === 'top' ? 'top-0' : 'bottom-0'}`}>
+    {ticks.map(tick => (
+      <div
+        key={tick.time}
+        className={`absolute transform -translate-x-1/2 flex items-center ${
+          position === 'top' ? 'top-0 flex-col-reverse' : 'bottom-0 flex-col'
+        }`}
+        style={{ left: `${tick.position}%` }}
+      >
+        <div className={`w-px bg-line ${tick.major ? 'h-4' : 'h-2'}`}></div>
+        <div className={`text-xs whitespace-nowrap mt-0.5 ${tick.major ? 'text-foreground/80 font-medium' : 'text-muted-foreground'}`}>
+          {tick.label}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+export default TimeAxis;
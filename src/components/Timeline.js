@@ -1,604 +1,1561 @@
 'use client';
 
-import React, { useState, useEffect, useRef } from 'react';
-import { Search, ZoomIn, ZoomOut, RefreshCw } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+import Link from 'next/link';
+import { usePathname, useSearchParams } from 'next/navigation';
+import { ZoomIn, ZoomOut, RefreshCw, ChevronLeft, ChevronRight, Check } from 'lucide-react';
+import { parseEpisodes, describeError, formatDirectors, toEpisodeRecord } from '../lib/episodes.js';
+import { OTHER_GROUP, parseDirectors, buildDirectorIndex, getDirectorColor, sortByFilmography } from '../lib/directors.js';
+import { parseTimelineParams, serializeTimelineParams } from '../lib/urlState.js';
+import { MIN_ZOOM, clampZoom, getMaxZoom, wheelZoomFactor, anchoredScrollLeft } from '../lib/zoom.js';
+import { createTimeScale, getViewDate, getScaleDates, getEventPosition as getPosition, sortByViewDate } from '../lib/timeScale.js';
+import { LANE_HEIGHT, MAX_LABEL_WIDTH, FILM_ROW_TOP, EPISODE_ROW_BOTTOM, layoutEvents } from '../lib/layout.js';
+import { generateTicks } from '../lib/axis.js';
+import { buildSearchIndex, parseQuery, isEmptyQuery, searchEvents } from '../lib/search.js';
+import {
+  DEFAULT_FILTERS, filterEvents, cycleChip, getChipState, hasActiveFilters, countActiveFilters, sameFilters
+} from '../lib/filters.js';
+import { getNavigationIndex } from '../lib/keyboard.js';
+import { renderTimelineSVG } from '../lib/exporters.js';
+import {
+  EMPTY_PROGRESS, loadProgress, saveProgress, isListened, getEpisodeProgress, getFilmProgress,
+  updateEpisodeProgress, updateFilmProgress, getProgressByDirector
+} from '../lib/progress.js';
+import { getRenderWindow, isInWindow, spanInWindow } from '../lib/windowing.js';
+import { EDITOR_ENABLED, newEpisodeRecord } from '../lib/editor.js';
+import { getTagColor as getBaseTagColor, adjustColor as adjustForTheme } from '../lib/theme.js';
+import Minimap from './Minimap';
+import TimeAxis from './TimeAxis';
+import EventTooltip from './EventTooltip';
+import ConnectionView from './ConnectionView';
+import LagTable from './LagTable';
+import StatsDashboard from './StatsDashboard';
+import EventList from './EventList';
+import VerticalTimeline from './VerticalTimeline';
+import Dialog from './Dialog';
+import StatusMessage from './StatusMessage';
+import TimelineSkeleton from './TimelineSkeleton';
+import DirectorRun from './DirectorRun';
+import ExportMenu from './ExportMenu';
+import EpisodeEditor from './EpisodeEditor';
+import EpisodeProgress from './EpisodeProgress';
+import ProgressBackup from './ProgressBackup';
+import RatingInput from './RatingInput';
+import SearchBox from './SearchBox';
+import Highlight from './Highlight';
+import FilterChip from './FilterChip';
+import FilterPresets from './FilterPresets';
+import { useTheme } from './ThemeProvider';
+import { useI18n } from './I18nProvider';
+
+// Space above the first lane (miniseries bands) and below the last (axis labels)
+const LANES_TOP = 20;
+const LANES_BOTTOM_PADDING = 60;
+const MIN_TIMELINE_HEIGHT = 220;
+const CONNECTION_HEIGHT = 280;
+// Image width for exports when the horizontal timeline isn't on screen (the
+// list layout and narrow screens)
+const EXPORT_FALLBACK_WIDTH = 1000;
+
+// Below this width the timeline runs vertically and the filters collapse into a drawer
+const NARROW_QUERY = '(max-width: 639px)';
+
+// Zoom step for the toolbar buttons, and drag distance before a press counts as a pan
+const ZOOM_STEP = 1.5;
+const DRAG_THRESHOLD = 4;
+
+// Where the data comes from: the static JSON files, or the API routes when
+// NEXT_PUBLIC_DATA_SOURCE=api (same formats, see lib/api.js)
+const DATA_URLS = process.env.NEXT_PUBLIC_DATA_SOURCE === 'api'
+  ? { episodes: '/api/episodes?pageSize=all', directors: '/api/directors' }
+  : { episodes: '/data/episodes.json', directors: '/data/directors.json' };
+
+// JSON from a data URL; HTTP errors (a missing file, a failing API) throw
+// like network errors do
+const fetchJSON = async (url, init) => {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    throw new Error(`${url} returned HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// Distance between the first two touches of a touch event
+const touchDistance = (touches) => Math.hypot(
+  touches[0].clientX - touches[1].clientX,
+  touches[0].clientY - touches[1].clientY
+);
+
+// Current query string in URLSearchParams' canonical encoding
+const currentQuery = () => new URLSearchParams(window.location.search).toString();
+
+// Height of the horizontal timeline for a number of label lanes
+const lanesHeight = (laneCount) => Math.max(MIN_TIMELINE_HEIGHT, LANES_TOP + laneCount * LANE_HEIGHT + LANES_BOTTOM_PADDING);
 
 // Timeline component
+
 const Timeline = () => {
+  const searchParams = useSearchParams();
+  const pathname = usePathname();
+  const [initialState] = useState(() => parseTimelineParams(searchParams));
+
   const [events, setEvents] = useState([]);
-  const [filteredEvents, setFilteredEvents] = useState([]);
-  const [zoomLevel, setZoomLevel] = useState(1);
-  const [selectedTags, setSelectedTags] = useState([]);
-  const [selectedDirectors, setSelectedDirectors] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedEvent, setSelectedEvent] = useState(null);
-  const [viewMode, setViewMode] = useState('film'); // 'film' or 'episode'
-  const [filterMode, setFilterMode] = useState('all'); // 'all', 'directors', 'genres'
+  const [miniseries, setMiniseries] = useState([]);
+  const [directorMetadata, setDirectorMetadata] = useState({ groups: [], directors: [] });
+  const [zoomLevel, setZoomLevel] = useState(initialState.zoomLevel);
+  const [filters, setFilters] = useState(initialState.filters);
+  const [searchTerm, setSearchTerm] = useState(initialState.searchTerm);
+  const [selectedEventId, setSelectedEventId] = useState(initialState.selectedEventId);
+  const [viewMode, setViewMode] = useState(initialState.viewMode); // 'film', 'episode' or 'connection'
+  const [filterMode, setFilterMode] = useState(initialState.filterMode); // 'all', 'directors', 'genres'
+  const [showStats, setShowStats] = useState(initialState.showStats);
+  const [layout, setLayout] = useState(initialState.layout); // 'timeline' or 'list'
+  const [focusedEventId, setFocusedEventId] = useState(null);
+  const [progress, setProgress] = useState(EMPTY_PROGRESS);
+  const [tooltip, setTooltip] = useState(null); // { id, anchor } of the one tooltip shown
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [dataErrors, setDataErrors] = useState([]);
+  const [timelineWidth, setTimelineWidth] = useState(0);
+  const [viewport, setViewport] = useState({ start: 0, end: 100 });
+  const [isPanning, setIsPanning] = useState(false);
+  const [isNarrow, setIsNarrow] = useState(false);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // { record, originalId } in the episode editor
   const timelineRef = useRef(null);
+  const zoomRef = useRef(initialState.zoomLevel);
+  const zoomAnchor = useRef(null);
+  const panState = useRef(null);
+  const suppressClick = useRef(false);
+  const viewportFrame = useRef(null);
+  const pendingFocus = useRef(null);
+  const hasSyncedUrl = useRef(false);
 
-  // Group directors by era (roughly)
-  const directorEras = {
-    "Classic Directors": ["Stanley Kubrick", "John Carpenter", "George Lucas", "Robert Zemeckis", "John McTiernan"],
-    "90s Breakthroughs": ["James Cameron", "Steven Spielberg", "The Wachowskis", "M. Night Shyamalan", "David Fincher", "Paul Verhoeven", "Tim Burton"],
-    "Modern Auteurs": ["Christopher Nolan", "Michael Mann", "Hayao Miyazaki", "Jonathan Demme", "George Miller", "Jane Campion"],
-    "Underappreciated Voices": ["Nancy Meyers", "Nora Ephron"]
-  };
+  // Episode shown in the detail modal (resolved once data has loaded)
+  const selectedEvent = events.find(event => String(event.id) === selectedEventId) || null;
+
+  // Fetch data. `init` is passed to fetch, e.g. to bypass the cache after an edit.
+  // Failures keep any data already loaded and set `loadError`.
+  const loadData = useCallback(async (init) => {
+    try {
+      const [raw, rawDirectors] = await Promise.all([
+        fetchJSON(DATA_URLS.episodes, init),
+        fetchJSON(DATA_URLS.directors, init)
+      ]);
+      
+      // Validate records, convert string dates to Date objects and sort
+      const { events: data, miniseries: series, errors: episodeErrors } = parseEpisodes(raw);
+      const { errors: directorErrors, ...metadata } = parseDirectors(rawDirectors);
+      const errors = [...episodeErrors, ...directorErrors];
+      if (errors.length > 0) {
+        console.warn(`${errors.length} invalid data record(s) skipped`, errors);
+      }
+      
+      setEvents(data);
+      setMiniseries(series);
+      setDirectorMetadata(metadata);
+      setDataErrors(errors);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error fetching episode data:', error);
+      setLoadError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
 
-  // Director color mapping
-  const directorColors = {
-    "George Lucas": "#0066CC", // Star Wars blue
-    "M. Night Shyamalan": "#663399", // Mystery purple
-    "The Wachowskis": "#009900", // Matrix green
-    "James Cameron": "#0099CC", // Avatar blue
-    "Steven Spielberg": "#CC9900", // Gold
-    "Christopher Nolan": "#333333", // Dark gray
-    "Paul Verhoeven": "#CC0000", // Red
-    "Nancy Meyers": "#FF9999", // Soft pink
-    "Tim Burton": "#666666", // Gothic gray
-    "Michael Mann": "#003366", // Dark blue
-    "Hayao Miyazaki": "#99CC33", // Ghibli green
-    "Jonathan Demme": "#996633", // Brown
-    "George Miller": "#FF6600", // Desert orange
-    "Nora Ephron": "#FF99CC", // Rom-com pink
-    "Robert Zemeckis": "#9900CC", // Purple
-    "John Carpenter": "#000099", // Dark blue
-    "Jane Campion": "#CC6699", // Mauve
-    "Stanley Kubrick": "#000000", // Black
-    "David Fincher": "#333300", // Dark olive
-    "John McTiernan": "#990000"  // Dark red
+  const retryLoad = () => {
+    if (events.length === 0) {
+      setLoading(true);
+    }
+    setLoadError(null);
+    loadData({ cache: 'no-store' });
   };
 
-  // Fetch data
+  // Offline visits are served from the service worker's cache (see public/sw.js)
   useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch('/data/episodes.json');
-        let data = await response.json();
-        
-        // Convert string dates to Date objects
-        data = data.map(event => ({
-          ...event,
-          date: new Date(event.date),
-          episodeDate: new Date(event.episodeDate)
-        }));
-        
-        // Sort by film release date
-        data.sort((a, b) => a.date - b.date);
-        
-        setEvents(data);
-        setFilteredEvents(data);
-        setLoading(false);
-      } catch (error) {
-        console.error('Error fetching episode data:', error);
-        setLoading(false);
-      }
+    const update = () => setOffline(!navigator.onLine);
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
     };
-    
-    fetchData();
   }, []);
 
-  // Get color for tag
-  const getTagColor = (tag) => {
-    // If it's a director, return their color
-    if (Object.keys(directorColors).includes(tag)) {
-      return directorColors[tag];
-    }
-    
-    // Default colors for genres
-    const genreColors = {
-      "sci-fi": "#0099CC",
-      "action": "#CC0000",
-      "thriller": "#660000",
-      "drama": "#003366",
-      "comedy": "#CC9900",
-      "horror": "#000000",
-      "animation": "#99CC33",
-      "romance": "#FF99CC",
-      "fantasy": "#9900CC"
-    };
-    
-    // Return genre color or default
-    return genreColors[tag.toLowerCase()] || "#999999";
+  // Switch layouts with the screen width (phones, narrow windows)
+  useEffect(() => {
+    const query = window.matchMedia(NARROW_QUERY);
+    const update = () => setIsNarrow(query.matches);
+    update();
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, []);
+
+  // The zoomable horizontal timeline; narrow screens get the vertical one
+  const showHorizontal = layout === 'timeline' && !isNarrow;
+
+  // Listening progress lives in localStorage, only available after mount
+  useEffect(() => {
+    setProgress(loadProgress());
+  }, []);
+
+  const changeProgress = (next) => {
+    setProgress(next);
+    saveProgress(next);
   };
 
-  // Extract all unique tags from events
-  const allTags = [...new Set(events.flatMap(event => event.tags || []))];
-  
-  // Extract all unique directors
-  const allDirectors = [...new Set(events.map(event => event.director))];
+  const listenedCount = events.filter(event => isListened(progress, event)).length;
 
-  // Filter events based on selected tags, directors and search term
+  // Ids of listened episodes as one string, so editing notes or ratings
+  // doesn't re-run filtering
+  const listenedKey = Object.entries(progress.episodes)
+    .filter(([, entry]) => entry.listened)
+    .map(([id]) => id)
+    .join('\n');
+
+  // Mirror view state into the query string. Next.js integrates native
+  // history.pushState/replaceState with its router, so useSearchParams stays
+  // in sync without a navigation round-trip.
   useEffect(() => {
-    let filtered = events;
-    
-    // Filter by directors if any are selected
-    if (selectedDirectors.length > 0) {
-      filtered = filtered.filter(event => 
-        selectedDirectors.includes(event.director)
-      );
+    const query = serializeTimelineParams({
+      searchTerm, filters, viewMode, filterMode, zoomLevel, selectedEventId, showStats, layout
+    });
+    const current = currentQuery();
+    if (query === current) {
+      hasSyncedUrl.current = true;
+      return;
     }
-    
-    // Filter by tags if any are selected
-    if (selectedTags.length > 0) {
-      filtered = filtered.filter(event => 
-        event.tags && selectedTags.some(tag => event.tags.includes(tag))
-      );
+
+    const url = query ? `${pathname}?${query}` : pathname;
+    // Typing in the search box, zooming (and canonicalizing the URL on load)
+    // replace the history entry instead of adding one per keystroke or wheel tick
+    const onlySearchOrZoomChanged = serializeTimelineParams({
+      ...parseTimelineParams(new URLSearchParams(current)),
+      searchTerm,
+      zoomLevel
+    }) === query;
+    if (!hasSyncedUrl.current || onlySearchOrZoomChanged) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
     }
-    
-    // Filter by search term
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(event => 
-        event.title.toLowerCase().includes(term) || 
-        event.description.toLowerCase().includes(term) ||
-        event.content.toLowerCase().includes(term) ||
-        event.director.toLowerCase().includes(term)
-      );
+    hasSyncedUrl.current = true;
+  }, [pathname, searchTerm, filters, viewMode, filterMode, zoomLevel, selectedEventId, showStats, layout]);
+
+  // Apply query string changes from back/forward navigation to view state
+  useEffect(() => {
+    // Ignore params from a write that has since been superseded
+    if (searchParams.toString() !== currentQuery()) {
+      return;
     }
-    
-    setFilteredEvents(filtered);
-  }, [events, selectedTags, selectedDirectors, searchTerm]);
+    const next = parseTimelineParams(searchParams);
+    setSearchTerm(next.searchTerm);
+    setFilters(prev => (sameFilters(prev, next.filters) ? prev : next.filters));
+    setViewMode(next.viewMode);
+    setFilterMode(next.filterMode);
+    setShowStats(next.showStats);
+    setLayout(next.layout);
+    setZoomLevel(prev => (Math.round(prev * 100) / 100 === next.zoomLevel ? prev : next.zoomLevel));
+    setSelectedEventId(next.selectedEventId);
+  }, [searchParams]);
 
-  // Toggle tag selection
+  // Extract all unique tags from events
+  const allTags = useMemo(() => [...new Set(events.flatMap(event => event.tags || []))], [events]);
+  
+  // Extract all unique directors (co-directed films list each director)
+  const allDirectors = useMemo(() => [...new Set(events.flatMap(event => event.directors))], [events]);
+
+  // Filter groups and colors from directors.json, with an "Other" group and
+  // generated colors for directors it doesn't list
+  const directorIndex = useMemo(
+    () => buildDirectorIndex(directorMetadata, allDirectors),
+    [directorMetadata, allDirectors]
+  );
+
+  // Data colors as drawn: adjusted for contrast with the active theme
+  const { adjustColor } = useTheme();
+  const { t, locale, formatDate } = useI18n();
+  const directorColor = (name) => adjustColor(getDirectorColor(directorIndex, name));
+
+  // Tag color: the director's color for director tags, else the genre color
+  const getTagColor = (tag) => adjustColor(getBaseTagColor(directorIndex, tag));
+
+  // "4/9 listened" for a director's chip (nothing when they have no episodes)
+  const progressByDirector = useMemo(() => getProgressByDirector(progress, events), [progress, events]);
+  const directorProgressLabel = (director) => {
+    const count = progressByDirector.get(director);
+    return count ? t('progress.listenedCount', count) : null;
+  };
+
+  // Color for an event, taken from its first director
+  const getEventColor = (event) => directorColor(event.directors[0]);
+
+  // Search index, rebuilt only when the data changes
+  const searchIndex = useMemo(() => buildSearchIndex(events), [events]);
+
+  // Ranked search results, or null when the search box is empty
+  const searchResults = useMemo(() => {
+    const query = parseQuery(searchTerm);
+    return isEmptyQuery(query) ? null : searchEvents(searchIndex, query);
+  }, [searchIndex, searchTerm]);
+
+  // Matched tokens per event id, for highlighting
+  const searchHighlights = useMemo(
+    () => new Map((searchResults || []).map(result => [result.event.id, result.tokens])),
+    [searchResults]
+  );
+
+  // Filter events based on director/tag chips, date ranges and search term
+  const filteredEvents = useMemo(() => {
+    const listened = new Set(listenedKey.split('\n'));
+    return filterEvents(events, filters, event => listened.has(String(event.id)), searchResults);
+  }, [events, filters, listenedKey, searchResults]);
+
+  // Cycle a tag chip: off -> include -> exclude -> off
   const toggleTag = (tag) => {
-    if (selectedTags.includes(tag)) {
-      setSelectedTags(selectedTags.filter(t => t !== tag));
-    } else {
-      setSelectedTags([...selectedTags, tag]);
-    }
+    setFilters(prev => cycleChip(prev, 'Tags', tag));
   };
 
-  // Toggle director selection
+  // Cycle a director chip: off -> include -> exclude -> off
   const toggleDirector = (director) => {
-    if (selectedDirectors.includes(director)) {
-      setSelectedDirectors(selectedDirectors.filter(d => d !== director));
-    } else {
-      setSelectedDirectors([...selectedDirectors, director]);
-    }
+    setFilters(prev => cycleChip(prev, 'Directors', director));
   };
 
-  // Set filter mode
-  const setFilter = (mode) => {
-    setFilterMode(mode);
-    // Clear selections when switching modes
-    if (mode !== 'all') {
-      setSelectedTags([]);
-      setSelectedDirectors([]);
-    }
+  // Update one filter field, e.g. a date range bound
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
   };
 
-  // Zoom in function
-  const zoomIn = () => {
-    setZoomLevel(prev => Math.min(prev + 0.5, 3));
+  // Clear every filter (but keep the search term)
+  const clearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
   };
 
-  // Zoom out function
-  const zoomOut = () => {
-    setZoomLevel(prev => Math.max(prev - 0.5, 0.5));
-  };
+  // Shown on the filter drawer toggle
+  const activeFilterCount = countActiveFilters(filters);
 
-  // Reset zoom function
-  const resetZoom = () => {
-    setZoomLevel(1);
+  // Set filter mode; this only changes which filter sections are shown
+  const setFilter = (mode) => {
+    setFilterMode(mode);
   };
 
   // Handle event click
   const handleEventClick = (event) => {
-    setSelectedEvent(event);
+    setSelectedEventId(String(event.id));
   };
 
   // Close event modal
   const closeEventModal = () => {
-    setSelectedEvent(null);
+    setSelectedEventId(null);
+  };
+
+  // Send an added or corrected episode to the editor route (editor mode
+  // only); throws with the route's error and validation messages
+  const putEpisode = async (record, originalId, query = '') => {
+    const response = await fetch(`/api/editor/episodes${query}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ episode: record, originalId })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error([result.error, ...(result.messages || [])].join(': '));
+    }
+    return result;
   };
 
+  // Lines of episodes.json the edit would change, without writing it
+  const previewEpisode = async (record, originalId) => (await putEpisode(record, originalId, '?preview=1')).diff;
+
+  // Write the edit to episodes.json, then reload and show the episode
+  const saveEpisode = async (record, originalId) => {
+    await putEpisode(record, originalId);
+    setEditing(null);
+    await loadData({ cache: 'no-store' });
+    setSelectedEventId(String(record.id));
+  };
+
+  // Previous/next episode for the modal, stepping through the filtered
+  // episodes in the current view's order
+  const modalOrder = useMemo(() => sortByViewDate(filteredEvents, viewMode), [filteredEvents, viewMode]);
+  const selectedIndex = selectedEvent ? modalOrder.findIndex(event => event.id === selectedEvent.id) : -1;
+  const previousEvent = selectedIndex > 0 ? modalOrder[selectedIndex - 1] : null;
+  const nextEvent = selectedIndex !== -1 && selectedIndex < modalOrder.length - 1 ? modalOrder[selectedIndex + 1] : null;
+
+  const handleModalKeyDown = (e) => {
+    // Arrow keys belong to the notes field and other inputs while they have focus
+    if (e.target.closest('input, textarea, select')) {
+      return;
+    }
+    if (e.key === 'ArrowLeft' && previousEvent) {
+      e.preventDefault();
+      handleEventClick(previousEvent);
+    } else if (e.key === 'ArrowRight' && nextEvent) {
+      e.preventDefault();
+      handleEventClick(nextEvent);
+    }
+  };
+
+  // Every episode (filtered or not) by the selected episode's first director
+  const selectedDirector = selectedEvent && !selectedEvent.isBonus ? selectedEvent.directors[0] : null;
+  const directorRun = selectedDirector
+    ? sortByFilmography(
+      events.filter(event => event.directors.includes(selectedDirector)),
+      directorIndex.byName.get(selectedDirector)
+    )
+    : [];
+
+  // Track the visible timeline width so lanes can be laid out in pixels
+  useEffect(() => {
+    const element = timelineRef.current;
+    if (!element) {
+      return undefined;
+    }
+    const observer = new ResizeObserver(([entry]) => setTimelineWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [loading, showHorizontal]);
+
+  // Scale over every event's date in the current view, so positions stay put while filtering
+  const timeScale = useMemo(
+    () => createTimeScale(events.flatMap(event => getScaleDates(event, viewMode))),
+    [events, viewMode]
+  );
+
   // Calculate event position based on date
-  const getEventPosition = (event) => {
-    const dates = viewMode === 'film' 
-      ? events.map(e => e.date.getTime())
-      : events.map(e => e.episodeDate.getTime());
-    
-    const minDate = Math.min(...dates);
-    const maxDate = Math.max(...dates);
-    const totalTime = maxDate - minDate;
-    
-    const eventDate = viewMode === 'film' 
-      ? event.date.getTime() 
-      : event.episodeDate.getTime();
-      
-    const timePassed = eventDate - minDate;
-    return (timePassed / totalTime) * 100;
+  const getEventPosition = (event) => getPosition(timeScale, event, viewMode);
+
+  // Events that can be placed in the current view
+  const plottedEvents = useMemo(
+    () => filteredEvents.filter(event => getViewDate(event, viewMode)),
+    [filteredEvents, viewMode]
+  );
+
+  // Plotted events in chronological order, for keyboard navigation and the
+  // list view, with each event's index in that order
+  const orderedEvents = useMemo(() => sortByViewDate(plottedEvents, viewMode), [plottedEvents, viewMode]);
+  const orderIndex = useMemo(
+    () => new Map(orderedEvents.map((event, index) => [String(event.id), index])),
+    [orderedEvents]
+  );
+
+  // The one event reachable with Tab (roving tabindex); arrows move between events
+  const activeEventId = orderIndex.has(focusedEventId)
+    ? focusedEventId
+    : orderedEvents.length > 0 ? String(orderedEvents[0].id) : null;
+
+  const handleEventKeyDown = (e, event) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleEventClick(event);
+      return;
+    }
+    const nextIndex = getNavigationIndex(e.key, orderIndex.get(String(event.id)), orderedEvents.length);
+    if (nextIndex === null) {
+      return;
+    }
+    e.preventDefault();
+    // The next event may be outside the rendered window; it is always
+    // rendered once active, so focus it after the next render
+    const nextId = String(orderedEvents[nextIndex].id);
+    pendingFocus.current = nextId;
+    setFocusedEventId(nextId);
   };
 
+  useLayoutEffect(() => {
+    if (pendingFocus.current === null || !timelineRef.current) {
+      return;
+    }
+    const element = timelineRef.current.querySelector(`[data-event-id="${CSS.escape(pendingFocus.current)}"]`);
+    if (element) {
+      pendingFocus.current = null;
+      element.focus();
+    }
+  });
+
+  // Only one tooltip is rendered at a time: the hovered or focused event's.
+  // `anchor` tells the connection view's film and episode markers apart.
+  const showTooltip = (event, anchor = 'event') => setTooltip({ id: event.id, anchor });
+  const hideTooltip = () => setTooltip(null);
+
+  // Props that make an event marker a focusable, labelled button
+  const getEventProps = (event) => ({
+    role: 'button',
+    tabIndex: String(event.id) === activeEventId ? 0 : -1,
+    'data-event-id': String(event.id),
+    'aria-label': [
+      event.title,
+      event.episodeNumber,
+      event.isBonus ? t('event.ariaLabelBonus') : event.director,
+      event.date && t('event.ariaFilmReleased', { date: formatDate(event.date) }),
+      t('event.ariaEpisodeAired', { date: formatDate(event.episodeDate) })
+    ].filter(Boolean).join(', '),
+    'aria-describedby': `event-tooltip-${event.id}`,
+    onClick: () => handleEventClick(event),
+    onKeyDown: (e) => handleEventKeyDown(e, event),
+    onFocus: () => {
+      setFocusedEventId(String(event.id));
+      showTooltip(event);
+    },
+    onBlur: hideTooltip,
+    onMouseEnter: () => showTooltip(event),
+    onMouseLeave: hideTooltip
+  });
+
+  // Deep enough zoom to tell weekly episodes apart in the current view
+  const maxZoom = useMemo(() => getMaxZoom(timeScale.domain, timelineWidth), [timeScale, timelineWidth]);
+  const zoom = clampZoom(zoomLevel, maxZoom);
+
+  // Assign each plotted event to a lane so labels never overlap
+  const laneLayout = useMemo(
+    () => layoutEvents(
+      plottedEvents,
+      timeScale,
+      event => getViewDate(event, viewMode),
+      timelineWidth * zoom,
+      t('event.bonus')
+    ),
+    [plottedEvents, timeScale, viewMode, timelineWidth, zoom, t]
+  );
+  // Axis ticks at a granularity that fits the zoomed width
+  const axisTicks = useMemo(
+    () => generateTicks(timeScale, timelineWidth * zoom, undefined, locale),
+    [timeScale, timelineWidth, zoom, locale]
+  );
+
+  const timelineHeight = viewMode === 'connection'
+    ? CONNECTION_HEIGHT
+    : lanesHeight(laneLayout.laneCount);
+
+  // Zoom to a level, keeping the content under `pointerX` (px from the left
+  // of the visible timeline, default its center) in place
+  const zoomTo = useCallback((nextZoom, pointerX) => {
+    const element = timelineRef.current;
+    const clamped = clampZoom(nextZoom, maxZoom);
+    if (element) {
+      zoomAnchor.current = {
+        scrollLeft: element.scrollLeft,
+        pointerX: pointerX ?? element.clientWidth / 2,
+        width: element.scrollWidth
+      };
+    }
+    zoomRef.current = clamped;
+    setZoomLevel(clamped);
+  }, [maxZoom]);
+
+  // Zoom in function
+  const zoomIn = () => zoomTo(zoomRef.current * ZOOM_STEP);
+
+  // Zoom out function
+  const zoomOut = () => zoomTo(zoomRef.current / ZOOM_STEP);
+
+  // Reset zoom function
+  const resetZoom = () => zoomTo(MIN_ZOOM);
+
+  // Visible window as percentages of the full timeline, for the minimap and
+  // windowed rendering. Scroll events are batched to one update per frame.
+  const updateViewport = useCallback(() => {
+    if (viewportFrame.current !== null) {
+      return;
+    }
+    viewportFrame.current = requestAnimationFrame(() => {
+      viewportFrame.current = null;
+      const element = timelineRef.current;
+      if (!element || element.scrollWidth === 0) {
+        return;
+      }
+      setViewport({
+        start: (element.scrollLeft / element.scrollWidth) * 100,
+        end: ((element.scrollLeft + element.clientWidth) / element.scrollWidth) * 100
+      });
+    });
+  }, []);
+
+  useEffect(() => () => cancelAnimationFrame(viewportFrame.current), []);
+
+  // Part of the timeline to mount: the visible window plus some overscan
+  const renderWindow = useMemo(() => getRenderWindow(viewport, timelineWidth * zoom), [viewport, timelineWidth, zoom]);
+
+  // Plotted events inside the render window, plus the keyboard-active one so
+  // Tab can always reach the timeline
+  const windowedEvents = useMemo(() => plottedEvents.filter(event => (
+    String(event.id) === activeEventId || (viewMode === 'connection'
+      ? spanInWindow(timeScale(event.date), timeScale(event.episodeDate), renderWindow)
+      : isInWindow(timeScale(getViewDate(event, viewMode)), renderWindow))
+  )), [plottedEvents, activeEventId, viewMode, timeScale, renderWindow]);
+
+  // After the zoomed width renders, restore the anchored point
+  useLayoutEffect(() => {
+    const element = timelineRef.current;
+    zoomRef.current = zoom;
+    if (element && zoomAnchor.current) {
+      element.scrollLeft = anchoredScrollLeft({ ...zoomAnchor.current, nextWidth: element.scrollWidth });
+      zoomAnchor.current = null;
+    }
+    updateViewport();
+  }, [zoom, timelineWidth, updateViewport]);
+
+  // Wheel and pinch zoom need non-passive listeners to stop the page from
+  // scrolling or zooming as well
+  useEffect(() => {
+    const element = timelineRef.current;
+    if (!element) {
+      return undefined;
+    }
+
+    const pointerOffset = (clientX) => clientX - element.getBoundingClientRect().left;
+
+    const handleWheel = (e) => {
+      // Horizontal swipes pan natively; vertical wheel and pinch zoom
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY) || e.shiftKey) {
+        return;
+      }
+      e.preventDefault();
+      zoomTo(zoomRef.current * wheelZoomFactor(e), pointerOffset(e.clientX));
+    };
+
+    let pinch = null;
+    const handleTouchStart = (e) => {
+      if (e.touches.length === 2) {
+        pinch = { distance: touchDistance(e.touches), zoom: zoomRef.current };
+      }
+    };
+    const handleTouchMove = (e) => {
+      if (!pinch || e.touches.length !== 2) {
+        return;
+      }
+      e.preventDefault();
+      const center = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+      zoomTo(pinch.zoom * (touchDistance(e.touches) / pinch.distance), pointerOffset(center));
+    };
+    const handleTouchEnd = (e) => {
+      if (e.touches.length < 2) {
+        pinch = null;
+      }
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    element.addEventListener('touchstart', handleTouchStart, { passive: true });
+    element.addEventListener('touchmove', handleTouchMove, { passive: false });
+    element.addEventListener('touchend', handleTouchEnd);
+    element.addEventListener('touchcancel', handleTouchEnd);
+    return () => {
+      element.removeEventListener('wheel', handleWheel);
+      element.removeEventListener('touchstart', handleTouchStart);
+      element.removeEventListener('touchmove', handleTouchMove);
+      element.removeEventListener('touchend', handleTouchEnd);
+      element.removeEventListener('touchcancel', handleTouchEnd);
+    };
+  }, [loading, showHorizontal, zoomTo]);
+
+  // Click-drag panning with the mouse (touch pans natively)
+  const handlePanStart = (e) => {
+    if (e.pointerType !== 'mouse' || e.button !== 0) {
+      return;
+    }
+    panState.current = { x: e.clientX, scrollLeft: timelineRef.current.scrollLeft, moved: false };
+  };
+
+  const handlePanMove = (e) => {
+    const pan = panState.current;
+    if (!pan) {
+      return;
+    }
+    const dx = e.clientX - pan.x;
+    if (!pan.moved && Math.abs(dx) > DRAG_THRESHOLD) {
+      pan.moved = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setIsPanning(true);
+    }
+    if (pan.moved) {
+      timelineRef.current.scrollLeft = pan.scrollLeft - dx;
+    }
+  };
+
+  const handlePanEnd = () => {
+    // A drag shouldn't also open the event it started on
+    suppressClick.current = Boolean(panState.current?.moved);
+    panState.current = null;
+    setIsPanning(false);
+  };
+
+  const handleTimelineClickCapture = (e) => {
+    if (suppressClick.current) {
+      e.stopPropagation();
+      suppressClick.current = false;
+    }
+  };
+
+  // Center the visible window on a fraction of the full timeline (minimap)
+  const scrollToFraction = (fraction) => {
+    const element = timelineRef.current;
+    element.scrollLeft = fraction * element.scrollWidth - element.clientWidth / 2;
+  };
+
+  // Horizontal extent of each miniseries among the plotted events
+  const miniseriesBands = useMemo(() => {
+    const extents = new Map();
+    plottedEvents.forEach(event => {
+      if (!event.miniseries) {
+        return;
+      }
+      const position = timeScale(getViewDate(event, viewMode));
+      const extent = extents.get(event.miniseries);
+      extents.set(event.miniseries, extent
+        ? { start: Math.min(extent.start, position), end: Math.max(extent.end, position) }
+        : { start: position, end: position });
+    });
+    return miniseries
+      .filter(series => extents.has(series.id))
+      .map(series => ({
+        ...series,
+        ...extents.get(series.id),
+        color: adjustColor(getDirectorColor(directorIndex, series.directors[0]))
+      }));
+  }, [miniseries, plottedEvents, timeScale, viewMode, directorIndex, adjustColor]);
+
+  // SVG image of the visible part of the timeline for the export menu,
+  // drawn from the same positions and colors as the screen. Lanes and ticks
+  // are laid out again at the image width, as the horizontal timeline may
+  // not be on screen (or measured) in the list layout or on a narrow screen.
+  const renderExportSVG = () => {
+    // Exports are drawn on white whatever the theme
+    const exportColor = (director) => adjustForTheme(getDirectorColor(directorIndex, director), 'light');
+    const svgViewport = showHorizontal ? viewport : { start: 0, end: 100 };
+    const width = (showHorizontal && Math.round(timelineWidth)) || EXPORT_FALLBACK_WIDTH;
+    // Width of the whole timeline when the viewport fills the image
+    const fullWidth = (width * 100) / Math.max(svgViewport.end - svgViewport.start, 0.0001);
+    const exportLayout = layoutEvents(plottedEvents, timeScale, event => getViewDate(event, viewMode), fullWidth, t('event.bonus'));
+    const height = viewMode === 'connection' ? CONNECTION_HEIGHT : lanesHeight(exportLayout.laneCount);
+    const common = {
+      width,
+      height,
+      viewport: svgViewport,
+      title: t('app.title'),
+      ticks: generateTicks(timeScale, fullWidth, undefined, locale)
+    };
+    if (viewMode === 'connection') {
+      const episodeRowTop = height - EPISODE_ROW_BOTTOM;
+      return renderTimelineSVG({
+        ...common,
+        axisTop: true,
+        links: plottedEvents.map(event => ({
+          from: timeScale(event.date),
+          to: timeScale(event.episodeDate),
+          fromTop: FILM_ROW_TOP,
+          toTop: episodeRowTop,
+          color: exportColor(event.directors[0])
+        })),
+        markers: plottedEvents.flatMap(event => [
+          { position: timeScale(event.date), top: FILM_ROW_TOP, color: exportColor(event.directors[0]) },
+          { position: timeScale(event.episodeDate), top: episodeRowTop, color: exportColor(event.directors[0]), shape: 'diamond' }
+        ])
+      });
+    }
+    return renderTimelineSVG({
+      ...common,
+      bands: miniseriesBands.map(band => ({ ...band, color: exportColor(band.directors[0]), label: band.pun || band.name })),
+      markers: plottedEvents.map(event => ({
+        position: getEventPosition(event),
+        // Dot center: the on-screen dot is 16px tall at the top of its lane
+        top: LANES_TOP + exportLayout.lanes.get(event.id) * LANE_HEIGHT + 8,
+        color: exportColor(event.directors[0]),
+        label: event.title,
+        sublabel: event.isBonus ? t('event.bonus') : event.director,
+        caption: viewMode === 'film'
+          ? String(event.date.getUTCFullYear())
+          : formatDate(event.episodeDate)
+      }))
+    });
+  };
+
+  // Miniseries record for an event, if it belongs to one
+  const miniseriesById = useMemo(() => new Map(miniseries.map(series => [series.id, series])), [miniseries]);
+  const getMiniseries = (event) => miniseriesById.get(event.miniseries);
+
   if (loading) {
-    return <div className="flex justify-center items-center h-64">Loading timeline data...</div>;
+    return <TimelineSkeleton />;
+  }
+
+  // Records skipped by validation, listed with their problems
+  const dataErrorList = dataErrors.length > 0 && (
+    <details
+      open={events.length === 0}
+      className="mb-4 border border-warning-line bg-warning-surface text-warning rounded-md p-3 text-sm"
+    >
+      <summary className="cursor-pointer font-medium">
+        {t('data.invalidRecords', { count: dataErrors.length })}
+      </summary>
+      <ul className="list-disc pl-5 mt-2 space-y-1">
+        {dataErrors.map((error, index) => (
+          <li key={index}>{describeError(error)}</li>
+        ))}
+      </ul>
+    </details>
+  );
+
+  // Nothing to show: the data couldn't be loaded, or there are no episodes
+  // yet (possibly because every record failed validation)
+  if (events.length === 0) {
+    return (
+      <div className="max-w-6xl mx-auto p-4">
+        <h1 className="text-3xl font-bold mb-4">{t('app.title')}</h1>
+        <StatusMessage
+          tone={loadError ? 'error' : 'info'}
+          title={loadError ? t('app.loadError') : t('app.empty')}
+          detail={loadError ? (offline ? t('app.loadErrorOffline') : loadError.message) : t('app.emptyDetail')}
+          actionLabel={t('app.retry')}
+          onAction={retryLoad}
+        />
+        {!loadError && dataErrorList}
+      </div>
+    );
   }
 
   return (
     <div className="flex flex-col h-screen max-w-6xl mx-auto p-4">
-      <h1 className="text-3xl font-bold mb-4">Blank Check Podcast Timeline</h1>
+      <h1 className="text-3xl font-bold mb-4">{t('app.title')}</h1>
+      
+      {offline && (
+        <p className="mb-4 border border-warning-line bg-warning-surface text-warning rounded-md p-3 text-sm" role="status">
+          {t('app.offline')}
+        </p>
+      )}
+      
+      {/* A reload failed; the data from the last successful load stays up */}
+      {loadError && (
+        <StatusMessage
+          tone="error"
+          title={t('app.reloadError')}
+          detail={loadError.message}
+          actionLabel={t('app.retry')}
+          onAction={retryLoad}
+        />
+      )}
+      
+      {/* Dataset validation problems */}
+      {dataErrorList}
       
       {/* Controls */}
       <div className="flex flex-wrap items-center gap-4 mb-6">
         {/* Search */}
-        <div className="relative">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
-          <input
-            type="text"
-            placeholder="Search films, directors..."
-            className="pl-10 pr-4 py-2 border rounded-md w-64"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-        </div>
+        <SearchBox
+          value={searchTerm}
+          onChange={setSearchTerm}
+          results={searchResults}
+          onSelect={handleEventClick}
+          getColor={getEventColor}
+        />
         
         {/* Zoom controls */}
-        <div className="flex items-center gap-2 border rounded-md p-1">
-          <button 
-            onClick={zoomOut} 
-            className="p-1 hover:bg-gray-100 rounded-md"
-            title="Zoom Out"
-          >
-            <ZoomOut size={20} />
-          </button>
-          <span className="px-2">{zoomLevel.toFixed(1)}x</span>
-          <button 
-            onClick={zoomIn} 
-            className="p-1 hover:bg-gray-100 rounded-md"
-            title="Zoom In"
-          >
-            <ZoomIn size={20} />
-          </button>
-          <button 
-            onClick={resetZoom} 
-            className="p-1 hover:bg-gray-100 rounded-md"
-            title="Reset Zoom"
-          >
-            <RefreshCw size={20} />
-          </button>
-        </div>
+        {showHorizontal && (
+          <div className="flex items-center gap-2 border rounded-md p-1" role="group" aria-label={t('zoom.group')}>
+            <button 
+              onClick={zoomOut} 
+              className="p-1 hover:bg-muted rounded-md"
+              title={t('zoom.out')}
+              aria-label={t('zoom.out')}
+              disabled={zoom <= MIN_ZOOM}
+            >
+              <ZoomOut size={20} />
+            </button>
+            <span className="px-2" aria-live="polite" aria-label={t('zoom.level', { level: zoom.toFixed(1) })}>
+              {zoom < 10 ? zoom.toFixed(1) : Math.round(zoom)}x
+            </span>
+            <button 
+              onClick={zoomIn} 
+              className="p-1 hover:bg-muted rounded-md"
+              title={t('zoom.in')}
+              aria-label={t('zoom.in')}
+              disabled={zoom >= maxZoom}
+            >
+              <ZoomIn size={20} />
+            </button>
+            <button 
+              onClick={resetZoom} 
+              className="p-1 hover:bg-muted rounded-md"
+              title={t('zoom.reset')}
+              aria-label={t('zoom.reset')}
+            >
+              <RefreshCw size={20} />
+            </button>
+          </div>
+        )}
         
         {/* View Mode Toggle */}
-        <div className="flex items-center border rounded-md">
+        <div className="flex items-center border rounded-md" role="group" aria-label={t('view.group')}>
           <button
             onClick={() => setViewMode('film')}
+            aria-pressed={viewMode === 'film'}
             className={`px-3 py-1 text-sm rounded-l-md ${
               viewMode === 'film'
-                ? 'bg-blue-500 text-white'
-                : 'bg-gray-100 hover:bg-gray-200'
+                ? 'bg-accent text-accent-foreground'
+                : 'bg-muted hover:bg-muted-hover'
             }`}
           >
-            Film Release Date
+            {t('view.film')}
           </button>
           <button
             onClick={() => setViewMode('episode')}
-            className={`px-3 py-1 text-sm rounded-r-md ${
+            aria-pressed={viewMode === 'episode'}
+            className={`px-3 py-1 text-sm ${
               viewMode === 'episode'
-                ? 'bg-blue-500 text-white'
-                : 'bg-gray-100 hover:bg-gray-200'
-            }`}
-          >
-            Episode Release Date
-          </button>
-        </div>
-      </div>
-      
-      {/* Filter Mode Selector */}
-      <div className="mb-4">
-        <h2 className="text-lg font-semibold mb-2">Filter By:</h2>
-        <div className="flex gap-2">
-          <button
-            onClick={() => setFilter('all')}
-            className={`px-3 py-1 rounded-md text-sm ${
-              filterMode === 'all'
-                ? 'bg-blue-500 text-white'
-                : 'bg-gray-100 hover:bg-gray-200'
+                ? 'bg-accent text-accent-foreground'
+                : 'bg-muted hover:bg-muted-hover'
             }`}
           >
-            All Filters
+            {t('view.episode')}
           </button>
           <button
-            onClick={() => setFilter('directors')}
-            className={`px-3 py-1 rounded-md text-sm ${
-              filterMode === 'directors'
-                ? 'bg-blue-500 text-white'
-                : 'bg-gray-100 hover:bg-gray-200'
+            onClick={() => setViewMode('connection')}
+            aria-pressed={viewMode === 'connection'}
+            className={`px-3 py-1 text-sm rounded-r-md ${
+              viewMode === 'connection'
+                ? 'bg-accent text-accent-foreground'
+                : 'bg-muted hover:bg-muted-hover'
             }`}
           >
-            Directors
+            {t('view.connection')}
           </button>
+        </div>
+        
+        {/* Layout Toggle */}
+        <div className="flex items-center border rounded-md" role="group" aria-label={t('layout.group')}>
+          {['timeline', 'list'].map((value, index, all) => (
+            <button
+              key={value}
+              onClick={() => setLayout(value)}
+              aria-pressed={layout === value}
+              className={`px-3 py-1 text-sm ${index === 0 ? 'rounded-l-md' : ''} ${index === all.length - 1 ? 'rounded-r-md' : ''} ${
+                layout === value
+                  ? 'bg-accent text-accent-foreground'
+                  : 'bg-muted hover:bg-muted-hover'
+              }`}
+            >
+              {t(`layout.${value}`)}
+            </button>
+          ))}
+        </div>
+        
+        {/* Export */}
+        <ExportMenu events={filteredEvents} miniseries={miniseries} getSVG={renderExportSVG} />
+        
+        {EDITOR_ENABLED && (
           <button
-            onClick={() => setFilter('genres')}
-            className={`px-3 py-1 rounded-md text-sm ${
-              filterMode === 'genres'
-                ? 'bg-blue-500 text-white'
-                : 'bg-gray-100 hover:bg-gray-200'
-            }`}
+            onClick={() => setEditing({ record: newEpisodeRecord(events), originalId: null })}
+            className="px-3 py-1 text-sm border rounded-md bg-muted hover:bg-muted-hover"
           >
-            Genres/Tags
+            {t('editor.add')}
           </button>
-        </div>
+        )}
       </div>
       
-      {/* Director filters - grouped by era */}
-      {(filterMode === 'all' || filterMode === 'directors') && (
-        <div className="mb-6">
-          <h2 className="text-lg font-semibold mb-2">Directors:</h2>
-          <div className="space-y-4">
-            {Object.entries(directorEras).map(([era, directors]) => (
-              <div key={era} className="space-y-2">
-                <h3 className="text-md font-medium">{era}:</h3>
-                <div className="flex flex-wrap gap-2">
-                  {directors.filter(director => allDirectors.includes(director)).map(director => (
-                    <button
-                      key={director}
-                      onClick={() => toggleDirector(director)}
-                      className={`px-3 py-1 rounded-full text-sm ${
-                        selectedDirectors.includes(director)
-                          ? 'text-white'
-                          : `text-gray-800 bg-opacity-20 hover:bg-opacity-30`
-                      }`}
-                      style={{ 
-                        backgroundColor: selectedDirectors.includes(director) 
-                          ? directorColors[director] 
-                          : `${directorColors[director]}40` // 25% opacity
-                      }}
-                    >
-                      {director}
-                    </button>
-                  ))}
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
+      {/* Filter sections; a collapsible drawer on narrow screens */}
+      {isNarrow && (
+        <button
+          onClick={() => setFiltersOpen(!filtersOpen)}
+          aria-expanded={filtersOpen}
+          aria-controls="filter-drawer"
+          className="flex items-center justify-between w-full mb-4 px-3 py-2 border rounded-md bg-muted hover:bg-muted-hover font-semibold"
+        >
+          <span>{activeFilterCount > 0 ? t('filters.drawerActive', { count: activeFilterCount }) : t('filters.drawer')}</span>
+          <span aria-hidden="true">{filtersOpen ? '▾' : '▸'}</span>
+        </button>
       )}
-      
-      {/* Genre/Tag filters */}
-      {(filterMode === 'all' || filterMode === 'genres') && (
-        <div className="mb-6">
-          <h2 className="text-lg font-semibold mb-2">Genres/Tags:</h2>
-          <div className="flex flex-wrap gap-2">
-            {allTags.map(tag => (
+      {(!isNarrow || filtersOpen) && (
+        <div id="filter-drawer" className={isNarrow ? 'mb-4 p-3 border rounded-md' : ''}>
+          {/* Filter Mode Selector */}
+          <div className="mb-4">
+            <h2 className="text-lg font-semibold mb-2">{t('filters.filterBy')}</h2>
+            <div className="flex gap-2" role="group" aria-label={t('filters.filterByGroup')}>
               <button
-                key={tag}
-                onClick={() => toggleTag(tag)}
-                className={`px-3 py-1 rounded-full text-sm ${
-                  selectedTags.includes(tag)
-                    ? 'text-white'
-                    : 'text-gray-800 bg-opacity-20 hover:bg-opacity-30'
+                onClick={() => setFilter('all')}
+                aria-pressed={filterMode === 'all'}
+                className={`px-3 py-1 rounded-md text-sm ${
+                  filterMode === 'all'
+                    ? 'bg-accent text-accent-foreground'
+                    : 'bg-muted hover:bg-muted-hover'
                 }`}
-                style={{ 
-                  backgroundColor: selectedTags.includes(tag) 
-                    ? getTagColor(tag)
-                    : `${getTagColor(tag)}40` // 25% opacity
-                }}
               >
-                {tag}
+                {t('filters.all')}
               </button>
-            ))}
+              <button
+                onClick={() => setFilter('directors')}
+                aria-pressed={filterMode === 'directors'}
+                className={`px-3 py-1 rounded-md text-sm ${
+                  filterMode === 'directors'
+                    ? 'bg-accent text-accent-foreground'
+                    : 'bg-muted hover:bg-muted-hover'
+                }`}
+              >
+                {t('filters.directors')}
+              </button>
+              <button
+                onClick={() => setFilter('genres')}
+                aria-pressed={filterMode === 'genres'}
+                className={`px-3 py-1 rounded-md text-sm ${
+                  filterMode === 'genres'
+                    ? 'bg-accent text-accent-foreground'
+                    : 'bg-muted hover:bg-muted-hover'
+                }`}
+              >
+                {t('filters.genres')}
+              </button>
+            </div>
           </div>
+        
+          {/* Director filters - grouped by era */}
+          {(filterMode === 'all' || filterMode === 'directors') && (
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold mb-2">{t('filters.directorsHeading')}</h2>
+              <div className="space-y-4">
+                {directorIndex.groups.map(([era, directors]) => (
+                  <div key={era} className="space-y-2">
+                    <h3 className="text-md font-medium">
+                      {t('filters.groupHeading', { group: era === OTHER_GROUP ? t('filters.otherGroup') : era })}
+                    </h3>
+                    <div className="flex flex-wrap gap-2">
+                      {directors.map(director => (
+                        <FilterChip
+                          key={director}
+                          label={director}
+                          color={directorColor(director)}
+                          state={getChipState(filters, 'Directors', director)}
+                          badge={directorProgressLabel(director)}
+                          onClick={() => toggleDirector(director)}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        
+          {/* Genre/Tag filters */}
+          {(filterMode === 'all' || filterMode === 'genres') && (
+            <div className="mb-6">
+              <div className="flex items-center gap-3 mb-2">
+                <h2 className="text-lg font-semibold">{t('filters.genresHeading')}</h2>
+                <div className="flex items-center border rounded-md text-sm" role="group" aria-label={t('filters.tagMatch')}>
+                  <button
+                    onClick={() => updateFilter('tagMatch', 'any')}
+                    className={`px-2 py-0.5 rounded-l-md ${
+                      filters.tagMatch === 'any' ? 'bg-accent text-accent-foreground' : 'bg-muted hover:bg-muted-hover'
+                    }`}
+                    aria-pressed={filters.tagMatch === 'any'}
+                  >
+                    {t('filters.tagMatchAny')}
+                  </button>
+                  <button
+                    onClick={() => updateFilter('tagMatch', 'all')}
+                    className={`px-2 py-0.5 rounded-r-md ${
+                      filters.tagMatch === 'all' ? 'bg-accent text-accent-foreground' : 'bg-muted hover:bg-muted-hover'
+                    }`}
+                    aria-pressed={filters.tagMatch === 'all'}
+                  >
+                    {t('filters.tagMatchAll')}
+                  </button>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {allTags.map(tag => (
+                  <FilterChip
+                    key={tag}
+                    label={tag}
+                    color={getTagColor(tag)}
+                    state={getChipState(filters, 'Tags', tag)}
+                    onClick={() => toggleTag(tag)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        
+          {/* Date range filters */}
+          {filterMode === 'all' && (
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold mb-2">{t('filters.dates')}</h2>
+              <div className="flex flex-wrap gap-6 text-sm">
+                {[
+                  [t('filters.filmReleased'), 'filmFrom', 'filmTo'],
+                  [t('filters.episodeAired'), 'episodeFrom', 'episodeTo']
+                ].map(([label, fromKey, toKey]) => (
+                  <div key={fromKey} className="flex items-center gap-2">
+                    <span className="font-medium">{label}</span>
+                    <input
+                      type="date"
+                      value={filters[fromKey] || ''}
+                      max={filters[toKey] || undefined}
+                      onChange={(e) => updateFilter(fromKey, e.target.value || null)}
+                      className="border rounded-md px-2 py-1"
+                      aria-label={t('filters.rangeFromLabel', { label })}
+                    />
+                    <span>{t('filters.rangeTo')}</span>
+                    <input
+                      type="date"
+                      value={filters[toKey] || ''}
+                      min={filters[fromKey] || undefined}
+                      onChange={(e) => updateFilter(toKey, e.target.value || null)}
+                      className="border rounded-md px-2 py-1"
+                      aria-label={t('filters.rangeToLabel', { label })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
       
+      {/* Saved presets and listening progress */}
+      <div className="flex flex-wrap items-center gap-4 mb-6">
+        <FilterPresets filters={filters} onApply={setFilters} />
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={filters.unlistenedOnly}
+            onChange={(e) => updateFilter('unlistenedOnly', e.target.checked)}
+          />
+          {t('filters.unlistenedOnly')}
+        </label>
+        <ProgressBackup
+          progress={progress}
+          listened={listenedCount}
+          total={events.length}
+          onImport={changeProgress}
+        />
+        {hasActiveFilters(filters) && (
+          <button onClick={clearFilters} className="text-sm text-accent hover:underline">
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+      
+      {viewMode === 'connection' && showHorizontal && (
+        <p className="text-sm text-muted-foreground mb-2">
+          {t('view.connectionHelp')}
+        </p>
+      )}
+      
+      {/* Accessible list alternative to the visual timeline */}
+      {layout === 'list' && (
+        <EventList
+          events={orderedEvents}
+          getColor={getEventColor}
+          isListened={event => isListened(progress, event)}
+          onSelect={handleEventClick}
+        />
+      )}
+      
+      {/* Vertical timeline for narrow screens */}
+      {layout === 'timeline' && isNarrow && (
+        <VerticalTimeline
+          events={orderedEvents}
+          viewMode={viewMode}
+          getColor={getEventColor}
+          getTagColor={getTagColor}
+          getHighlight={event => searchHighlights.get(event.id)}
+          isListened={event => isListened(progress, event)}
+          onSelect={handleEventClick}
+        />
+      )}
+      
       {/* Horizontal Timeline visualization */}
-      <div 
-        ref={timelineRef}
-        className="relative border-b-4 border-gray-300 mb-8 overflow-x-auto"
-        style={{ 
-          width: '100%',
-          height: '220px'
-        }}
-      >
-        {/* Timeline container with zoom */}
-        <div
-          className="relative h-full"
-          style={{
-            width: `${100 * zoomLevel}%`,
-            minWidth: '100%'
+      {showHorizontal && (
+        <div 
+          ref={timelineRef}
+          role="region"
+          aria-label={t('timeline.region')}
+          aria-describedby="timeline-keyboard-help"
+          className={`relative border-b-4 border-line mb-8 overflow-x-auto select-none ${
+            isPanning ? 'cursor-grabbing' : 'cursor-grab'
+          }`}
+          style={{ 
+            width: '100%',
+            height: `${timelineHeight}px`,
+            touchAction: 'pan-x pan-y'
           }}
+          onScroll={updateViewport}
+          onPointerDown={handlePanStart}
+          onPointerMove={handlePanMove}
+          onPointerUp={handlePanEnd}
+          onPointerCancel={handlePanEnd}
+          onClickCapture={handleTimelineClickCapture}
         >
-          {filteredEvents.map(event => {
-            const position = getEventPosition(event);
-            return (
-              <div 
-                key={event.id}
-                className="absolute cursor-pointer group"
-                style={{ 
-                  left: `${position}%`,
-                  transform: 'translateX(-50%)',
-                  top: event.id % 2 === 0 ? '20px' : '90px',
-                  maxWidth: '200px',
-                  zIndex: 10
-                }}
-                onClick={() => handleEventClick(event)}
-              >
-                {/* Event dot */}
-                <div 
-                  className="w-4 h-4 rounded-full mb-2 mx-auto"
-                  style={{ backgroundColor: directorColors[event.director] || '#666666' }}
-                ></div>
-                
-                {/* Event title */}
-                <div className="text-center font-medium text-sm truncate">
-                  {event.title}
-                </div>
-                
-                {/* Director name */}
-                <div 
-                  className="text-center text-xs truncate"
-                  style={{ color: directorColors[event.director] || '#666666' }}
-                >
-                  {event.director}
-                </div>
-                
-                {/* Date */}
-                <div className="text-xs text-gray-500 text-center">
-                  {viewMode === 'film' 
-                    ? event.date.getFullYear()
-                    : event.episodeDate.toLocaleDateString().split(',')[0]
-                  }
-                </div>
-                
-                {/* Hover tooltip */}
-                <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 w-64 bg-white p-2 rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity z-50 pointer-events-none">
-                  <div className="font-bold">{event.title} {viewMode === 'episode' && `(${event.episodeNumber})`}</div>
-                  <div className="text-sm font-medium" style={{ color: directorColors[event.director] || '#666666' }}>
-                    {event.director}
-                  </div>
-                  <div className="text-xs text-gray-500">
-                    Film: {event.date.toLocaleDateString()}<br/>
-                    Episode: {event.episodeDate.toLocaleDateString()}
+          <p id="timeline-keyboard-help" className="sr-only">
+            {t('timeline.keyboardHelp')}
+          </p>
+          {/* Timeline container with zoom */}
+          <div
+            className="relative h-full"
+            style={{
+              width: `${100 * zoom}%`,
+              minWidth: '100%'
+            }}
+          >
+            {viewMode === 'connection' ? (
+              <ConnectionView
+                events={windowedEvents}
+                getPosition={timeScale}
+                getColor={getEventColor}
+                getTagColor={getTagColor}
+                getHighlight={event => searchHighlights.get(event.id)}
+                getEventProps={getEventProps}
+                tooltip={tooltip}
+                onShowTooltip={showTooltip}
+                onHideTooltip={hideTooltip}
+                onSelect={handleEventClick}
+                height={timelineHeight}
+              />
+            ) : (
+              <>
+                {/* Miniseries bands */}
+                {miniseriesBands.map(band => (
+                  <div
+                    key={band.id}
+                    className="absolute top-0 h-4 rounded-sm text-[10px] leading-4 px-1 truncate"
+                    style={{
+                      left: `${band.start}%`,
+                      width: `${band.end - band.start}%`,
+                      minWidth: '6px',
+                      backgroundColor: `${band.color}33`,
+                      borderLeft: `2px solid ${band.color}`,
+                      borderRight: `2px solid ${band.color}`,
+                      color: band.color
+                    }}
+                    title={band.pun ? `${band.name}: ${band.pun}` : band.name}
+                  >
+                    {band.pun || band.name}
                   </div>
-                  <p className="text-sm mt-1">{event.description}</p>
-                  <div className="flex flex-wrap gap-1 mt-1">
-                    {event.tags && event.tags.map(tag => (
-                      <span 
-                        key={tag}
-                        className="px-1.5 py-0.5 rounded-full text-xs text-white"
-                        style={{ backgroundColor: getTagColor(tag) }}
+                ))}
+
+                {windowedEvents.map(event => {
+                  const position = getEventPosition(event);
+                  const top = LANES_TOP + laneLayout.lanes.get(event.id) * LANE_HEIGHT;
+                  return (
+                    <div 
+                      key={event.id}
+                      {...getEventProps(event)}
+                      className="absolute cursor-pointer rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+                      style={{ 
+                        left: `${position}%`,
+                        transform: 'translateX(-50%)',
+                        top: `${top}px`,
+                        maxWidth: `${MAX_LABEL_WIDTH}px`,
+                        zIndex: 10
+                      }}
+                    >
+                      {/* Event dot: listened episodes are checked, unlistened ones hollow */}
+                      {isListened(progress, event) ? (
+                        <div 
+                          className="w-4 h-4 rounded-full mb-2 mx-auto flex items-center justify-center text-background"
+                          style={{ backgroundColor: getEventColor(event) }}
+                        >
+                          <Check size={12} strokeWidth={3} aria-hidden="true" />
+                        </div>
+                      ) : (
+                        <div 
+                          className="w-4 h-4 rounded-full mb-2 mx-auto border-[3px] bg-surface"
+                          style={{ borderColor: getEventColor(event) }}
+                        ></div>
+                      )}
+                  
+                      {/* Event title */}
+                      <div className="text-center font-medium text-sm truncate">
+                        {event.title}
+                      </div>
+                  
+                      {/* Director name */}
+                      <div 
+                        className="text-center text-xs truncate"
+                        style={{ color: getEventColor(event) }}
                       >
-                        {tag}
-                      </span>
-                    ))}
-                  </div>
-                  <div className="mt-1 text-xs text-blue-500">Click for more details</div>
-                </div>
-                
-                {/* Vertical line */}
-                <div 
-                  className="absolute top-0 w-px h-16 bg-gray-300"
-                  style={{ 
-                    left: '50%',
-                    top: event.id % 2 === 0 ? '-20px' : '-90px'
-                  }}
-                ></div>
-              </div>
-            );
-          })}
-          
-          {/* Timeline year markers */}
-          {viewMode === 'film' && events.length > 0 && (
-            [1970, 1980, 1990, 2000, 2010, 2020].map(year => {
-              const minYear = Math.min(...events.map(e => e.date.getFullYear()));
-              const maxYear = Math.max(...events.map(e => e.date.getFullYear()));
-              const position = ((year - minYear) / (maxYear - minYear)) * 100;
-              
-              return (
-                <div 
-                  key={year}
-                  className="absolute bottom-0 transform translate-y-full"
-                  style={{ left: `${position}%` }}
-                >
-                  <div className="w-px h-4 bg-gray-400 mx-auto"></div>
-                  <div className="text-xs text-gray-500 mt-1">{year}</div>
-                </div>
-              );
-            })
-          )}
-          
-          {/* Episode year markers */}
-          {viewMode === 'episode' && events.length > 0 && (
-            [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024].map(year => {
-              const minYear = Math.min(...events.map(e => e.episodeDate.getFullYear()));
-              const maxYear = Math.max(...events.map(e => e.episodeDate.getFullYear()));
-              const position = ((year - minYear) / (maxYear - minYear)) * 100;
-              
-              return (
-                <div 
-                  key={year}
-                  className="absolute bottom-0 transform translate-y-full"
-                  style={{ left: `${position}%` }}
-                >
-                  <div className="w-px h-4 bg-gray-400 mx-auto"></div>
-                  <div className="text-xs text-gray-500 mt-1">{year}</div>
-                </div>
-              );
-            })
+                        {event.isBonus ? t('event.bonus') : event.director}
+                      </div>
+                  
+                      {/* Date */}
+                      <div className="text-xs text-muted-foreground text-center">
+                        {viewMode === 'film'
+                          ? event.date.getUTCFullYear()
+                          : formatDate(event.episodeDate)
+                        }
+                      </div>
+                  
+                      {/* Hover/focus tooltip */}
+                      {tooltip?.id === event.id && (
+                        <EventTooltip
+                          id={`event-tooltip-${event.id}`}
+                          event={event}
+                          color={getEventColor(event)}
+                          getTagColor={getTagColor}
+                          showEpisodeNumber={viewMode === 'episode'}
+                          highlight={searchHighlights.get(event.id)}
+                        />
+                      )}
+                  
+                      {/* Vertical line up to the top of the timeline */}
+                      <div 
+                        className="absolute w-px bg-line"
+                        style={{ 
+                          left: '50%',
+                          top: `-${top}px`,
+                          height: `${top}px`
+                        }}
+                      ></div>
+                    </div>
+                  );
+                })}
+              </>
+            )}
+            
+            {/* Time axis (film releases on top, episodes below in the connection view) */}
+            {events.length > 0 && viewMode === 'connection' && <TimeAxis ticks={axisTicks} position="top" />}
+            {events.length > 0 && <TimeAxis ticks={axisTicks} />}
+          </div>
+        </div>
+      )}
+      
+      {/* Overview of the whole timeline with the visible window */}
+      {showHorizontal && plottedEvents.length > 0 && (
+        <Minimap
+          events={plottedEvents}
+          getPosition={getEventPosition}
+          getColor={getEventColor}
+          viewport={viewport}
+          onNavigate={scrollToFraction}
+        />
+      )}
+      
+      {/* Release-to-episode gaps for the connection view */}
+      {viewMode === 'connection' && plottedEvents.length > 0 && (
+        <LagTable events={plottedEvents} getColor={getEventColor} onSelect={handleEventClick} />
+      )}
+      
+      {/* Aggregates of the filtered episodes */}
+      {events.length > 0 && (
+        <div className="mb-8">
+          <button
+            onClick={() => setShowStats(!showStats)}
+            className="text-lg font-semibold mb-4 hover:underline"
+            aria-expanded={showStats}
+          >
+            {showStats ? '▾' : '▸'} {t('stats.toggle')}
+          </button>
+          {showStats && (
+            <StatsDashboard
+              events={filteredEvents}
+              getDirectorColor={directorColor}
+              getTagColor={getTagColor}
+            />
           )}
         </div>
-      </div>
+      )}
       
       {/* Event details modal */}
-      {selectedEvent && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto">
-            <div className="flex justify-between items-start mb-4">
-              <div>
-                <h2 className="text-2xl font-bold">{selectedEvent.title}</h2>
-                <div className="text-lg" style={{ color: directorColors[selectedEvent.director] || '#666666' }}>
-                  {selectedEvent.director}
-                </div>
+      {selectedEvent && !editing && (
+        <Dialog labelledBy="event-dialog-title" onClose={closeEventModal} onKeyDown={handleModalKeyDown}>
+          {/* Step through the filtered episodes */}
+          {selectedIndex !== -1 && (
+            <div className="flex items-center justify-between mb-4 text-sm">
+              <button
+                onClick={() => previousEvent && handleEventClick(previousEvent)}
+                aria-disabled={!previousEvent}
+                className={`flex items-center gap-1 px-2 py-1 rounded-md ${previousEvent ? 'hover:bg-muted' : 'opacity-40 cursor-default'}`}
+                title={previousEvent ? t('modal.previousTitle', { title: previousEvent.title }) : undefined}
+              >
+                <ChevronLeft size={16} aria-hidden="true" /> {t('modal.previous')}
+              </button>
+              <span className="text-muted-foreground">
+                {t('modal.position', { index: selectedIndex + 1, total: modalOrder.length })}
+              </span>
+              <button
+                onClick={() => nextEvent && handleEventClick(nextEvent)}
+                aria-disabled={!nextEvent}
+                className={`flex items-center gap-1 px-2 py-1 rounded-md ${nextEvent ? 'hover:bg-muted' : 'opacity-40 cursor-default'}`}
+                title={nextEvent ? t('modal.nextTitle', { title: nextEvent.title }) : undefined}
+              >
+                {t('modal.next')} <ChevronRight size={16} aria-hidden="true" />
+              </button>
+            </div>
+          )}
+          
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 id="event-dialog-title" className="text-2xl font-bold">
+                <Highlight text={selectedEvent.title} tokens={searchHighlights.get(selectedEvent.id)} />
+              </h2>
+              <div className="text-lg" style={{ color: getEventColor(selectedEvent) }}>
+                {selectedEvent.isBonus ? t('event.bonus') : selectedEvent.director}
               </div>
+              <Link
+                href={`/episodes/${encodeURIComponent(String(selectedEvent.id))}`}
+                className="text-sm text-accent hover:underline"
+              >
+                {t('modal.episodePage')} &rarr;
+              </Link>
+              {getMiniseries(selectedEvent) && (
+                <div className="text-sm text-muted-foreground">
+                  {t('modal.miniseries', { name: getMiniseries(selectedEvent).name })}
+                  {getMiniseries(selectedEvent).pun && ` — ${getMiniseries(selectedEvent).pun}`}
+                </div>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              {EDITOR_ENABLED && (
+                <button
+                  onClick={() => setEditing({ record: toEpisodeRecord(selectedEvent), originalId: selectedEvent.id })}
+                  className="px-2 py-1 text-sm rounded-md bg-muted hover:bg-muted-hover"
+                >
+                  {t('editor.edit')}
+                </button>
+              )}
               <button 
                 onClick={closeEventModal}
-                className="text-gray-500 hover:text-gray-700 text-2xl"
+                className="text-muted-foreground hover:text-foreground text-2xl"
+                aria-label={t('modal.close')}
               >
-                &times;
+                <span aria-hidden="true">&times;</span>
               </button>
             </div>
-            
-            <div className="flex justify-between mb-4 text-sm">
-              <div>
-                <div className="font-medium">Film Release:</div>
-                <div className="text-gray-500">{selectedEvent.date.toLocaleDateString()}</div>
-              </div>
-              <div>
-                <div className="font-medium">Podcast Episode:</div>
-                <div className="text-gray-500">{selectedEvent.episodeNumber} - {selectedEvent.episodeDate.toLocaleDateString()}</div>
-              </div>
+          </div>
+          
+          <div className="flex justify-between mb-4 text-sm">
+            <div>
+              <div className="font-medium">{t('modal.filmRelease')}</div>
+              <div className="text-muted-foreground">{selectedEvent.date ? formatDate(selectedEvent.date) : '—'}</div>
             </div>
-            
-            <p className="mb-4 font-medium">{selectedEvent.description}</p>
-            <div className="mb-6">{selectedEvent.content}</div>
-            
-            {/* Tags */}
-            {selectedEvent.tags && selectedEvent.tags.length > 0 && (
-              <div className="mb-4">
-                <h3 className="font-semibold mb-2">Tags:</h3>
-                <div className="flex flex-wrap gap-2">
-                  {selectedEvent.tags.map(tag => (
-                    <span 
-                      key={tag} 
-                      className="px-2 py-1 rounded-full text-sm text-white"
-                      style={{ backgroundColor: getTagColor(tag) }}
-                    >
-                      {tag}
+            <div>
+              <div className="font-medium">{t('modal.podcastEpisode')}</div>
+              <div className="text-muted-foreground">{selectedEvent.episodeNumber && `${selectedEvent.episodeNumber} - `}{formatDate(selectedEvent.episodeDate)}</div>
+            </div>
+          </div>
+          
+          {/* Personal listening progress */}
+          <EpisodeProgress
+            entry={getEpisodeProgress(progress, selectedEvent.id)}
+            onChange={changes => changeProgress(updateEpisodeProgress(progress, selectedEvent.id, changes))}
+          />
+          
+          {/* The rest of this director's run */}
+          {directorRun.length > 1 && (
+            <DirectorRun
+              director={selectedDirector}
+              events={directorRun}
+              currentId={selectedEvent.id}
+              color={directorColor(selectedDirector)}
+              onSelect={handleEventClick}
+            />
+          )}
+          
+          {/* Films covered */}
+          {selectedEvent.films.length > 0 && (
+            <div className="mb-4">
+              <h3 className="font-semibold mb-2">{t('modal.filmsCovered')}</h3>
+              <ul className="space-y-1 text-sm">
+                {selectedEvent.films.map(film => (
+                  <li key={`${film.title}-${film.date.getTime()}`} className="flex flex-wrap items-center justify-between gap-x-4">
+                    <span>
+                      <span className="font-medium">{film.title}</span>
+                      <span style={{ color: directorColor(film.directors[0]) }}> {formatDirectors(film.directors)}</span>
                     </span>
-                  ))}
-                </div>
-              </div>
-            )}
-            
-            {/* Links */}
-            {selectedEvent.links && selectedEvent.links.length > 0 && (
-              <div>
-                <h3 className="font-semibold mb-2">Related Links:</h3>
-                <ul className="list-disc pl-5">
-                  {selectedEvent.links.map((link, index) => (
-                    <li key={index}>
-                      <a 
-                        href={link.url} 
-                        target="_blank" 
-                        rel="noopener noreferrer"
-                        className="text-blue-500 hover:underline"
-                      >
-                        {link.text}
-                      </a>
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            )}
+                    <span className="flex items-center gap-3">
+                      <span className="text-muted-foreground">{formatDate(film.date)}</span>
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={getFilmProgress(progress, film).watched}
+                          onChange={(e) => changeProgress(updateFilmProgress(progress, film, { watched: e.target.checked }))}
+                        />
+                        {t('modal.watched')}
+                      </label>
+                      <RatingInput
+                        value={getFilmProgress(progress, film).rating}
+                        onChange={rating => changeProgress(updateFilmProgress(progress, film, { rating }))}
+                        label={t('modal.filmRating', { title: film.title })}
+                      />
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          <p className="mb-4 font-medium">
+            <Highlight text={selectedEvent.description} tokens={searchHighlights.get(selectedEvent.id)} />
+          </p>
+          <div className="mb-6">
+            <Highlight text={selectedEvent.content} tokens={searchHighlights.get(selectedEvent.id)} />
           </div>
-        </div>
+          
+          {/* Tags */}
+          {selectedEvent.tags && selectedEvent.tags.length > 0 && (
+            <div className="mb-4">
+              <h3 className="font-semibold mb-2">{t('modal.tags')}</h3>
+              <div className="flex flex-wrap gap-2">
+                {selectedEvent.tags.map(tag => (
+                  <span 
+                    key={tag} 
+                    className="px-2 py-1 rounded-full text-sm text-background"
+                    style={{ backgroundColor: getTagColor(tag) }}
+                  >
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          {/* Links */}
+          {selectedEvent.links && selectedEvent.links.length > 0 && (
+            <div>
+              <h3 className="font-semibold mb-2">{t('modal.links')}</h3>
+              <ul className="list-disc pl-5">
+                {selectedEvent.links.map((link, index) => (
+                  <li key={index}>
+                    <a 
+                      href={link.url} 
+                      target="_blank" 
+                      rel="noopener noreferrer"
+                      className="text-accent hover:underline"
+                    >
+                      {link.text}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </Dialog>
+      )}
+      
+      {/* Episode editor (development only) */}
+      {editing && (
+        <Dialog labelledBy="episode-editor-title" onClose={() => setEditing(null)}>
+          <EpisodeEditor
+            initialRecord={editing.record}
+            originalId={editing.originalId}
+            miniseries={miniseries}
+            allTags={allTags}
+            allDirectors={allDirectors}
+            onPreview={previewEpisode}
+            onSave={saveEpisode}
+            onCancel={() => setEditing(null)}
+          />
+        </Dialog>
       )}
       
       {/* No results message */}
       {filteredEvents.length === 0 && (
-        <div className="text-center py-8 text-gray-500">
-          No episodes match your current filters. Try adjusting your search or tag selection.
+        <div className="text-center py-8 text-muted-foreground">
+          {t('filters.noResults')}
         </div>
       )}
     </div>
@@ -0,0 +1,208 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Timeline from './Timeline';
+import I18nProvider from './I18nProvider';
+import ThemeProvider from './ThemeProvider';
+import { downloadBlob } from '../lib/download.js';
+import { EPISODES_JSON, DIRECTORS_JSON } from '../test/fixtures.js';
+
+// The timeline reads its initial state from the query string
+vi.mock('next/navigation', () => ({
+  useSearchParams: () => new URLSearchParams(),
+  usePathname: () => '/'
+}));
+
+vi.mock('../lib/download.js', () => ({ downloadBlob: vi.fn() }));
+
+const DATA = {
+  '/data/episodes.json': EPISODES_JSON,
+  '/data/directors.json': DIRECTORS_JSON
+};
+
+const respondWithFixtures = (url) => Promise.resolve({
+  ok: url in DATA,
+  status: url in DATA ? 200 : 404,
+  json: () => Promise.resolve(DATA[url])
+});
+
+const renderTimeline = () => render(
+  <I18nProvider>
+    <ThemeProvider>
+      <Timeline />
+    </ThemeProvider>
+  </I18nProvider>
+);
+
+// Titles in the list layout, in the order shown
+const listedTitles = () => within(screen.getByRole('list', { name: 'Episodes in chronological order' }))
+  .getAllByRole('button')
+  .map(button => button.querySelector('.font-medium').textContent);
+
+// Text of a Blob (jsdom's Blob has no text())
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+const searchBox = () => screen.getByPlaceholderText(/^Search/);
+
+// Render, wait for the data and switch to the list layout
+const renderList = async (user) => {
+  renderTimeline();
+  await user.click(await screen.findByRole('button', { name: 'List' }));
+};
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+  vi.stubGlobal('fetch', vi.fn(respondWithFixtures));
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('Timeline', () => {
+  it('lists the episodes with films by release date once the data has loaded', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+    expect(listedTitles()).toEqual(['The Phantom Menace', 'Attack of the Clones', 'Lady in the Water', 'Jaws']);
+  });
+
+  it('shows the error with a retry button when the data fails to load', async () => {
+    fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+    const user = userEvent.setup();
+    renderTimeline();
+
+    expect(await screen.findByText("The episode data couldn't be loaded.")).toBeInTheDocument();
+    fetch.mockImplementation(respondWithFixtures);
+    await user.click(screen.getByRole('button', { name: 'Retry' }));
+    expect(await screen.findByPlaceholderText(/^Search/)).toBeInTheDocument();
+  });
+
+  it('lists the validation errors when every record is invalid', async () => {
+    DATA['/data/episodes.json'] = { episodes: [{ id: 1, title: 'No Date' }, { id: 2, episodeDate: '2015-04-19' }] };
+    try {
+      renderTimeline();
+      expect(await screen.findByText('There are no episodes yet.')).toBeInTheDocument();
+      expect(screen.getByText('2 data records failed validation and were skipped')).toBeVisible();
+      expect(screen.getByText(/^episodes\[0\] \(id 1\) "No Date": "episodeDate"/)).toBeVisible();
+      expect(screen.getByText(/^episodes\[1\] \(id 2\): "title"/)).toBeVisible();
+    } finally {
+      DATA['/data/episodes.json'] = EPISODES_JSON;
+    }
+  });
+
+  it('narrows the episodes to the search results', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+
+    await user.type(searchBox(), 'clones');
+    expect(listedTitles()).toEqual(['Attack of the Clones']);
+
+    await user.clear(searchBox());
+    await user.type(searchBox(), 'director:lucas');
+    expect(listedTitles()).toEqual(['The Phantom Menace', 'Attack of the Clones']);
+  });
+
+  it('cycles a director chip through include, exclude and off', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+    const chip = screen.getByRole('button', { name: /^Steven Spielberg/ });
+
+    await user.click(chip);
+    expect(chip).toHaveAttribute('aria-pressed', 'true');
+    expect(listedTitles()).toEqual(['Jaws']);
+
+    await user.click(chip);
+    expect(chip).toHaveAttribute('aria-pressed', 'mixed');
+    expect(listedTitles()).not.toContain('Jaws');
+
+    await user.click(chip);
+    expect(chip).toHaveAttribute('aria-pressed', 'false');
+    expect(listedTitles()).toHaveLength(4);
+  });
+
+  it('filters by tags, matching any or all of them', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+
+    await user.click(screen.getByRole('button', { name: 'sci-fi' }));
+    await user.click(screen.getByRole('button', { name: 'romance' }));
+    expect(listedTitles()).toEqual(['The Phantom Menace', 'Attack of the Clones']);
+
+    await user.click(screen.getByRole('button', { name: 'All' }));
+    expect(listedTitles()).toEqual(['Attack of the Clones']);
+
+    await user.click(screen.getByRole('button', { name: 'Clear filters' }));
+    expect(listedTitles()).toHaveLength(4);
+  });
+
+  it('switches view modes', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+    const film = screen.getByRole('button', { name: 'Film Release Date' });
+    const episode = screen.getByRole('button', { name: 'Episode Release Date' });
+    expect(film).toHaveAttribute('aria-pressed', 'true');
+
+    // The list follows the view's dates: the bonus episode (no film) now has a place
+    await user.click(episode);
+    expect(episode).toHaveAttribute('aria-pressed', 'true');
+    expect(film).toHaveAttribute('aria-pressed', 'false');
+    expect(listedTitles()).toEqual([
+      'The Phantom Menace', 'Attack of the Clones', 'Lady in the Water', 'Listener Mailbag', 'Jaws'
+    ]);
+
+    // The connection view adds the release-to-episode table
+    await user.click(screen.getByRole('button', { name: 'Film → Episode' }));
+    expect(screen.getByRole('columnheader', { name: /Years Since Release/ })).toBeInTheDocument();
+    expect(window.location.search).toContain('view=connection');
+  });
+
+  it('opens the detail modal and closes it with the close button or Escape', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+
+    await user.click(screen.getByRole('button', { name: /^Lady in the Water/ }));
+    const dialog = screen.getByRole('dialog', { name: 'Lady in the Water' });
+    expect(within(dialog).getByText('3 of 5')).toBeInTheDocument();
+    expect(within(dialog).getByRole('link', { name: /Episode page/ })).toHaveAttribute('href', '/episodes/3');
+    expect(window.location.search).toContain('episode=3');
+
+    await user.click(within(dialog).getByRole('button', { name: 'Close episode details' }));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /^Jaws/ }));
+    expect(screen.getByRole('dialog', { name: 'Jaws' })).toBeInTheDocument();
+    await user.keyboard('{Escape}');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('steps through the filtered episodes in the modal', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+    await user.click(screen.getByRole('button', { name: /^George Lucas/ }));
+
+    await user.click(screen.getByRole('button', { name: /^The Phantom Menace/ }));
+    expect(screen.getByText('1 of 2')).toBeInTheDocument();
+    await user.keyboard('{ArrowRight}');
+    expect(screen.getByRole('dialog', { name: 'Attack of the Clones' })).toBeInTheDocument();
+    expect(screen.getByText('2 of 2')).toBeInTheDocument();
+  });
+
+  it('lays out an image export at the image width from the list layout', async () => {
+    const user = userEvent.setup();
+    await renderList(user);
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+    await user.click(screen.getByRole('button', { name: 'SVG image' }));
+    const svg = await readBlob(downloadBlob.mock.calls[0][0]);
+    // The four films are far enough apart at 1000px to share one lane
+    expect(svg).toMatch(/^<svg [^>]*width="1000" height="252"/);
+    expect(new Set([...svg.matchAll(/<circle [^>]*cy="(\d+)"/g)].map(match => match[1]))).toEqual(new Set(['28']));
+  });
+});
@@ -0,0 +1,48 @@
+'use client';
+
+import React from 'react';
+import { useI18n } from './I18nProvider';
+
+// Placeholder markers: position (percent) and lane
+const MARKERS = [[6, 0], [14, 2], [23, 1], [31, 0], [40, 2], [48, 1], [57, 0], [66, 2], [74, 1], [83, 0], [92, 2]];
+
+const Bar = ({ className }) => <div className={`rounded-md bg-muted ${className}`}></div>;
+
+// Shape of the timeline page (controls, filters and the track) shown while
+// the data loads
+const TimelineSkeleton = () => {
+  const { t } = useI18n();
+
+  return (
+    <div className="max-w-6xl mx-auto p-4" role="status" aria-live="polite">
+      <h1 className="text-3xl font-bold mb-4">{t('app.title')}</h1>
+      <span className="sr-only">{t('app.loading')}</span>
+      <div className="animate-pulse" aria-hidden="true">
+        <div className="flex flex-wrap gap-4 mb-6">
+          <Bar className="h-10 w-full sm:w-80" />
+          <Bar className="h-8 w-32" />
+          <Bar className="h-8 w-72" />
+          <Bar className="h-8 w-32" />
+        </div>
+        <Bar className="h-6 w-28 mb-2" />
+        <div className="flex flex-wrap gap-2 mb-6">
+          {Array.from({ length: 8 }, (_, i) => <Bar key={i} className="h-7 w-24 rounded-full" />)}
+        </div>
+        <div className="relative h-56 border-b-4 mb-8">
+          {MARKERS.map(([position, lane]) => (
+            <div
+              key={position}
+              className="absolute -translate-x-1/2 flex flex-col items-center gap-2"
+              style={{ left: `${position}%`, top: `${20 + lane * 56}px` }}
+            >
+              <div className="w-4 h-4 rounded-full bg-muted"></div>
+              <Bar className="h-3 w-16" />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineSkeleton;
@@ -0,0 +1,103 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { Check } from 'lucide-react';
+import { getViewDate } from '../lib/timeScale.js';
+import EventSummary from './EventSummary';
+import { useI18n } from './I18nProvider';
+
+// Consecutive events grouped by the year of their view date
+const groupByYear = (events, viewMode) => {
+  const groups = [];
+  events.forEach(event => {
+    const year = getViewDate(event, viewMode).getUTCFullYear();
+    const last = groups[groups.length - 1];
+    if (last && last.year === year) {
+      last.events.push(event);
+    } else {
+      groups.push({ year, events: [event] });
+    }
+  });
+  return groups;
+};
+
+// Timeline for narrow screens: events run top to bottom under sticky year
+// headers. Tapping an event opens a preview card in place (there is no hover
+// on touch screens); the card links to the full details. `events` must be in
+// view date order.
+const VerticalTimeline = ({ events, viewMode, getColor, getTagColor, getHighlight, isListened, onSelect }) => {
+  const [previewId, setPreviewId] = useState(null);
+  const { t, formatDate } = useI18n();
+  const groups = useMemo(() => groupByYear(events, viewMode), [events, viewMode]);
+
+  return (
+    <div className="mb-8" role="region" aria-label={t('timeline.region')}>
+      {groups.map(({ year, events: yearEvents }) => (
+        <section key={year} aria-labelledby={`timeline-year-${year}`}>
+          <h3
+            id={`timeline-year-${year}`}
+            className="sticky top-0 z-10 bg-background py-1 font-semibold border-b"
+          >
+            {year}
+          </h3>
+          <ol className="ml-3 border-l-2">
+            {yearEvents.map(event => {
+              const color = getColor(event);
+              const isOpen = previewId === event.id;
+              const previewElementId = `event-preview-${event.id}`;
+              return (
+                <li key={event.id} className="relative pl-5 py-2">
+                  {/* Dot on the line: listened episodes are checked, unlistened ones hollow */}
+                  <span
+                    className={`absolute -left-[9px] top-3 w-4 h-4 rounded-full flex items-center justify-center ${
+                      isListened(event) ? 'text-background' : 'border-[3px] bg-surface'
+                    }`}
+                    style={isListened(event) ? { backgroundColor: color } : { borderColor: color }}
+                    aria-hidden="true"
+                  >
+                    {isListened(event) && <Check size={12} strokeWidth={3} />}
+                  </span>
+
+                  <button
+                    onClick={() => setPreviewId(isOpen ? null : event.id)}
+                    aria-expanded={isOpen}
+                    aria-controls={previewElementId}
+                    className="w-full text-left rounded-md px-2 py-1 hover:bg-subtle focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+                  >
+                    <span className="block font-medium">{event.title}</span>
+                    <span className="block text-sm" style={{ color }}>
+                      {event.isBonus ? t('event.bonus') : event.director}
+                    </span>
+                    <span className="block text-xs text-muted-foreground">
+                      {formatDate(getViewDate(event, viewMode))}
+                    </span>
+                  </button>
+
+                  {isOpen && (
+                    <div id={previewElementId} className="mt-2 p-3 bg-surface border rounded-md shadow-sm">
+                      <EventSummary
+                        event={event}
+                        color={color}
+                        getTagColor={getTagColor}
+                        showEpisodeNumber
+                        highlight={getHighlight(event)}
+                      />
+                      <button
+                        onClick={() => onSelect(event)}
+                        className="mt-2 px-3 py-1 rounded-md text-sm bg-accent text-accent-foreground"
+                      >
+                        {t('timeline.viewDetails')}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default VerticalTimeline;
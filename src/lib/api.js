@@ -0,0 +1,138 @@
+// Query handling for the data API routes (src/app/api). Episode queries take
+// the same parameters as the timeline's own URL (see urlState.js), so a
+// timeline view's query string can be sent to /api/episodes as is:
+//
+//   /api/episodes?q=jaws&director=Steven+Spielberg&tag=horror&film=1970-01-01..&view=episode&page=2&pageSize=20
+//
+// `view` sets the sort (film release or episode date, as the timeline plots
+// them), `sort=relevance` orders text search results by score instead, and
+// `pageSize=all` returns every match on one page. `unlistened` is ignored:
+// listening progress only exists in the browser.
+
+import { toEpisodeRecord, directorSlug } from './episodes.js';
+import { buildDirectorIndex } from './directors.js';
+import { parseTimelineParams } from './urlState.js';
+import { applyFilters } from './filters.js';
+import { parseQuery, isEmptyQuery, searchEvents } from './search.js';
+import { sortByViewDate } from './timeScale.js';
+import { countBy } from './stats.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// Positive integer query parameter, or `fallback` when absent
+const parsePositiveInt = (params, name, fallback) => {
+  const value = params.get(name);
+  if (value === null || value === '') {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`"${name}" must be a positive integer`);
+  }
+  return Number(value);
+};
+
+// Read an episode query from URLSearchParams. Throws on malformed
+// pagination so route handlers can answer 400.
+export const parseEpisodeQuery = (params) => {
+  const { searchTerm, filters, viewMode } = parseTimelineParams(params);
+  const sort = params.get('sort') || 'date';
+  if (sort !== 'date' && sort !== 'relevance') {
+    throw new Error('"sort" must be "date" or "relevance"');
+  }
+
+  const pageSize = params.get('pageSize') === 'all' ? Infinity : parsePositiveInt(params, 'pageSize', DEFAULT_PAGE_SIZE);
+  if (pageSize !== Infinity && pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`"pageSize" must be at most ${MAX_PAGE_SIZE} (or "all")`);
+  }
+
+  return {
+    searchTerm,
+    filters: { ...filters, unlistenedOnly: false },
+    viewMode,
+    sort,
+    page: parsePositiveInt(params, 'page', 1),
+    pageSize
+  };
+};
+
+// Events matching a parsed query, in the query's order. `index` is the
+// search index for `events` (built once per request by the caller).
+export const queryEpisodes = (events, index, query) => {
+  const parsed = parseQuery(query.searchTerm);
+  const results = isEmptyQuery(parsed) ? null : searchEvents(index, parsed);
+  const filtered = applyFilters(events, query.filters);
+
+  if (!results) {
+    return sortByViewDate(filtered, query.viewMode);
+  }
+  const kept = new Set(filtered);
+  const matches = results.map(result => result.event).filter(event => kept.has(event));
+  return query.sort === 'relevance' ? matches : sortByViewDate(matches, query.viewMode);
+};
+
+// One page of `items` with the counts a client needs to fetch the rest.
+// Pages past the end are empty rather than an error.
+export const paginate = (items, page, pageSize) => {
+  const size = pageSize === Infinity ? Math.max(items.length, 1) : pageSize;
+  return {
+    items: items.slice((page - 1) * size, page * size),
+    page,
+    pageSize: pageSize === Infinity ? 'all' : pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / size)
+  };
+};
+
+// Miniseries records referenced by some of `events`
+const referencedMiniseries = (events, miniseries) => {
+  const ids = new Set(events.map(event => event.miniseries));
+  return miniseries.filter(series => ids.has(series.id));
+};
+
+// Response body for /api/episodes. `episodes` and `miniseries` use the
+// episodes.json layout, so a page is itself a valid dataset.
+export const toEpisodesResponse = (page, miniseries) => ({
+  episodes: page.items.map(toEpisodeRecord),
+  miniseries: referencedMiniseries(page.items, miniseries),
+  page: page.page,
+  pageSize: page.pageSize,
+  total: page.total,
+  totalPages: page.totalPages
+});
+
+// Response body for /api/episodes/[id]
+export const toEpisodeResponse = (event, miniseries) => ({
+  episode: toEpisodeRecord(event),
+  miniseries: miniseries.find(series => series.id === event.miniseries) || null
+});
+
+// Response body for /api/directors: every director with a matching episode,
+// in directors.json layout (groups in display order) with the resolved color
+// and how many of the matching episodes cover their films
+export const toDirectorsResponse = (events, metadata) => {
+  const names = [...new Set(events.flatMap(event => event.directors))];
+  const index = buildDirectorIndex(metadata, names);
+  const counts = new Map(countBy(events, event => event.directors).map(({ key, count }) => [key, count]));
+
+  return {
+    groups: index.groups.map(([group]) => group),
+    directors: index.groups.flatMap(([group, members]) => members.map(name => {
+      const director = index.byName.get(name);
+      return {
+        name,
+        slug: directorSlug(name),
+        group,
+        color: index.colors[name],
+        bio: director?.bio || '',
+        filmography: director?.filmography || [],
+        episodeCount: counts.get(name) || 0
+      };
+    }))
+  };
+};
+
+// Response body for /api/tags: tags of the matching episodes, most used first
+export const toTagsResponse = (events) => ({
+  tags: countBy(events, event => event.tags).map(({ key, count }) => ({ name: key, count }))
+});
@@ -0,0 +1,87 @@
+// Tick generation for the timeline axis. Ticks are derived from the scale's
+// domain and placed with the same scale as events; the unit (month, quarter,
+// year or decade) is the finest one that leaves room for a label at the
+// current zoomed width.
+
+import { translate } from './i18n.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_MS = (365.2425 / 12) * DAY_MS;
+
+// Minimum pixels between two labelled ticks
+export const MIN_TICK_SPACING = 64;
+
+// Tick units, finest first, as a number of months
+export const TICK_UNITS = [
+  { name: 'month', months: 1 },
+  { name: 'quarter', months: 3 },
+  { name: 'year', months: 12 },
+  { name: 'decade', months: 120 }
+];
+
+const monthName = (monthIndex, locale) => new Date(Date.UTC(2000, monthIndex, 1))
+  .toLocaleDateString(locale, { month: 'short', timeZone: 'UTC' });
+
+// Label for a tick at year/month. The first tick of each year (and the
+// first tick on the axis) names the year so month and quarter axes stay readable.
+const tickLabel = (unit, year, month, isFirst, locale) => {
+  const withYear = isFirst || month === 0;
+  if (unit === 'month') {
+    return withYear ? `${monthName(month, locale)} ${year}` : monthName(month, locale);
+  }
+  if (unit === 'quarter') {
+    const quarter = translate(locale, 'axis.quarter', { quarter: Math.floor(month / 3) + 1 });
+    return withYear ? `${quarter} ${year}` : quarter;
+  }
+  return String(year);
+};
+
+// Pick the tick unit and step (in months) for a domain drawn `width` pixels wide
+export const chooseTickUnit = (domain, width, minSpacing = MIN_TICK_SPACING) => {
+  const span = domain[1].getTime() - domain[0].getTime();
+  const pxPerMonth = span > 0 && width > 0 ? (width * AVERAGE_MONTH_MS) / span : 0;
+
+  const unit = TICK_UNITS.find(candidate => candidate.months * pxPerMonth >= minSpacing);
+  if (unit) {
+    return { unit: unit.name, step: unit.months };
+  }
+
+  // Very long ranges: every n decades
+  const decade = TICK_UNITS[TICK_UNITS.length - 1];
+  const multiple = pxPerMonth > 0 ? Math.ceil(minSpacing / (decade.months * pxPerMonth)) : 1;
+  return { unit: decade.name, step: decade.months * multiple };
+};
+
+// Ticks for a scale (see timeScale.js) drawn `width` pixels wide:
+// [{ time, label, position, major }] with `position` a percentage. Month
+// and quarter names are in `locale`.
+export const generateTicks = (scale, width, minSpacing = MIN_TICK_SPACING, locale = 'en-US') => {
+  const [start, end] = scale.domain;
+
+  // A single date: one tick for its year, in the middle like the events
+  if (end.getTime() <= start.getTime()) {
+    const year = start.getUTCFullYear();
+    return [{ time: start.getTime(), label: String(year), position: scale(start), major: true }];
+  }
+
+  const { unit, step } = chooseTickUnit(scale.domain, width, minSpacing);
+  const firstMonth = Math.ceil((start.getUTCFullYear() * 12 + start.getUTCMonth()) / step) * step;
+  const lastMonth = end.getUTCFullYear() * 12 + end.getUTCMonth();
+
+  const ticks = [];
+  for (let monthIndex = firstMonth; monthIndex <= lastMonth; monthIndex += step) {
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const date = new Date(Date.UTC(year, month, 1));
+    if (date < start || date > end) {
+      continue;
+    }
+    ticks.push({
+      time: date.getTime(),
+      label: tickLabel(unit, year, month, ticks.length === 0, locale),
+      position: scale(date),
+      major: month === 0
+    });
+  }
+  return ticks;
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { chooseTickUnit, generateTicks } from './axis.js';
+import { createTimeScale } from './timeScale.js';
+import { parseISODate } from './episodes.js';
+
+const scaleOver = (...dates) => createTimeScale(dates.map(parseISODate));
+
+describe('chooseTickUnit', () => {
+  const domain = [parseISODate('2000-01-01'), parseISODate('2010-01-01')];
+
+  it('uses finer units as the timeline gets wider', () => {
+    expect(chooseTickUnit(domain, 1000).unit).toBe('year');
+    expect(chooseTickUnit(domain, 3000).unit).toBe('quarter');
+    expect(chooseTickUnit(domain, 10000).unit).toBe('month');
+  });
+
+  it('steps over several decades when even decades are too close', () => {
+    const wide = [parseISODate('1900-01-01'), parseISODate('2000-01-01')];
+    expect(chooseTickUnit(wide, 100)).toEqual({ unit: 'decade', step: 840 });
+  });
+});
+
+describe('generateTicks', () => {
+  it('places year markers at the start of each year, positioned like events', () => {
+    const scale = scaleOver('2000-01-01', '2004-01-01');
+    const ticks = generateTicks(scale, 600);
+    expect(ticks.map(tick => tick.label)).toEqual(['2000', '2001', '2002', '2003', '2004']);
+    expect(ticks[0].position).toBe(0);
+    expect(ticks[ticks.length - 1].position).toBe(100);
+    expect(ticks[2].position).toBe(scale(parseISODate('2002-01-01')));
+    expect(ticks.every(tick => tick.major)).toBe(true);
+  });
+
+  it('skips marker dates outside the domain', () => {
+    const ticks = generateTicks(scaleOver('2000-06-15', '2003-03-01'), 600);
+    expect(ticks.map(tick => tick.label)).toEqual(['2001', '2002', '2003']);
+  });
+
+  it('gives a single date one marker in the middle', () => {
+    expect(generateTicks(scaleOver('1999-05-19'), 800)).toEqual([
+      { time: parseISODate('1999-05-19').getTime(), label: '1999', position: 50, major: true }
+    ]);
+  });
+
+  it('names the year on the first month and each January', () => {
+    const labels = generateTicks(scaleOver('2000-11-01', '2001-02-01'), 2000).map(tick => tick.label);
+    expect(labels).toEqual(['Nov 2000', 'Dec', 'Jan 2001', 'Feb']);
+  });
+
+  it('names months in the given locale', () => {
+    const labels = generateTicks(scaleOver('2000-11-01', '2001-01-01'), 2000, undefined, 'es').map(tick => tick.label);
+    expect(labels[0]).toMatch(/^nov/);
+  });
+
+  it('labels quarters', () => {
+    const labels = generateTicks(scaleOver('2000-01-01', '2001-01-01'), 500).map(tick => tick.label);
+    expect(labels).toEqual(['Q1 2000', 'Q2', 'Q3', 'Q4', 'Q1 2001']);
+  });
+
+  it('names quarters in the given locale', () => {
+    const labels = generateTicks(scaleOver('2000-01-01', '2000-07-01'), 300, undefined, 'es').map(tick => tick.label);
+    expect(labels).toEqual(['T1 2000', 'T2', 'T3']);
+  });
+});
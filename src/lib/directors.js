@@ -0,0 +1,124 @@
+// Director metadata from public/data/directors.json: filter group, color,
+// bio and filmography order. Directors that appear in episodes.json but not
+// in the metadata file land in the "Other" group with a generated color, so
+// adding a miniseries never requires touching component code.
+
+import { collectRecords } from './episodes.js';
+
+export const OTHER_GROUP = 'Other';
+
+// Declared shape of a director metadata record
+export const DIRECTOR_SCHEMA = {
+  name: { type: 'string', required: true },
+  group: { type: 'string', required: false, default: OTHER_GROUP },
+  color: { type: 'color', required: false, default: null },
+  bio: { type: 'string', required: false, default: '' },
+  filmography: { type: 'strings', required: false, default: [] }
+};
+
+// FNV-1a hash of a string, as an unsigned 32-bit integer
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const hslToHex = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+};
+
+// Stable color for a director without one in the metadata file
+export const generateDirectorColor = (name) => {
+  const hash = hashString(name);
+  const hue = hash % 360;
+  const saturation = 0.45 + ((hash >>> 9) % 30) / 100;
+  const lightness = 0.38 + ((hash >>> 17) % 14) / 100;
+  return hslToHex(hue, saturation, lightness);
+};
+
+// Validate and normalize directors.json. Returns { groups, directors, errors }
+// where `groups` is the display order of the filter groups.
+export const parseDirectors = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.directors)) {
+    return {
+      groups: [],
+      directors: [],
+      errors: [{
+        collection: null,
+        index: null,
+        id: null,
+        title: null,
+        messages: ['directors.json must be an object with a "directors" array (and optionally "groups")']
+      }]
+    };
+  }
+
+  const { valid, errors } = collectRecords('directors', data.directors, DIRECTOR_SCHEMA, null, 'name');
+  const declaredGroups = Array.isArray(data.groups) ? data.groups.filter(group => typeof group === 'string') : [];
+  const groups = [...new Set([...declaredGroups, ...valid.map(director => director.group)])]
+    .filter(group => group !== OTHER_GROUP);
+
+  return { groups, directors: valid, errors };
+};
+
+// Combine parsed metadata with the directors found in the episode data.
+// `groups` is a list of [group, names] pairs ending with "Other" when needed.
+export const buildDirectorIndex = (metadata, directorNames) => {
+  const byName = new Map(metadata.directors.map(director => [director.name, director]));
+
+  const colors = {};
+  directorNames.forEach(name => {
+    colors[name] = byName.get(name)?.color || generateDirectorColor(name);
+  });
+  metadata.directors.forEach(director => {
+    colors[director.name] = director.color || generateDirectorColor(director.name);
+  });
+
+  const groups = metadata.groups.map(group => [
+    group,
+    metadata.directors
+      .filter(director => director.group === group && directorNames.includes(director.name))
+      .map(director => director.name)
+  ]);
+  const others = directorNames
+    .filter(name => !byName.has(name) || byName.get(name).group === OTHER_GROUP)
+    .sort((a, b) => a.localeCompare(b));
+  if (others.length > 0) {
+    groups.push([OTHER_GROUP, others]);
+  }
+
+  return {
+    groups: groups.filter(([, names]) => names.length > 0),
+    colors,
+    byName
+  };
+};
+
+// Color for a director name, generating one if the index doesn't know it
+export const getDirectorColor = (index, name) => (
+  (name && (index.colors[name] || generateDirectorColor(name))) || '#666666'
+);
+
+// Sort a director's events by their filmography order; films not listed keep
+// release-date order after the listed ones
+export const sortByFilmography = (events, director) => {
+  const order = director?.filmography || [];
+  const rank = (event) => {
+    const positions = event.films
+      .map(film => order.indexOf(film.title))
+      .filter(position => position !== -1);
+    return positions.length > 0 ? Math.min(...positions) : order.length;
+  };
+  return [...events].sort((a, b) => (
+    rank(a) - rank(b) || ((a.date ?? a.episodeDate) - (b.date ?? b.episodeDate))
+  ));
+};
@@ -0,0 +1,213 @@
+// Episode editor support: converting raw episodes.json records to and from
+// editable form state, applying an edit to the raw dataset, and line diffs
+// of the file for the preview. The editor writes through /api/editor/episodes, which only
+// exists in development with NEXT_PUBLIC_ENABLE_EDITOR=1.
+
+import {
+  EPISODE_SCHEMA, isWellFormedUrl, localToday, parseEpisodes, parseISODate, toISODate, validateEpisode
+} from './episodes.js';
+
+export const EDITOR_ENABLED = process.env.NODE_ENV === 'development' &&
+  process.env.NEXT_PUBLIC_ENABLE_EDITOR === '1';
+
+const EMPTY_FILM = { title: '', directors: '', date: '' };
+const EMPTY_LINK = { text: '', url: '' };
+
+// Blank record for a new episode: the next numeric id, aired today
+export const newEpisodeRecord = (events, today = localToday()) => {
+  const ids = events.map(event => event.id).filter(Number.isInteger);
+  return {
+    id: ids.length > 0 ? Math.max(...ids) + 1 : 1,
+    title: '',
+    episodeDate: toISODate(today),
+    films: []
+  };
+};
+
+// Form state (all strings) for a raw episode record. Film directors are
+// edited as a comma-separated list.
+export const toEditorForm = (record) => ({
+  id: String(record.id ?? ''),
+  title: record.title || '',
+  episodeDate: record.episodeDate || '',
+  episodeNumber: record.episodeNumber || '',
+  miniseries: record.miniseries === undefined || record.miniseries === null ? '' : String(record.miniseries),
+  films: (record.films || []).map(film => ({ ...film, directors: film.directors.join(', ') })),
+  description: record.description || '',
+  content: record.content || '',
+  tags: [...(record.tags || [])],
+  links: (record.links || []).map(link => ({ ...link }))
+});
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Rows added to the form but never filled in
+const isBlankFilm = (film) => !film.title.trim() && !film.directors.trim() && !film.date;
+const isBlankLink = (link) => !link.text.trim() && !link.url.trim();
+
+// Raw episode record for form state, with empty optional fields left out and
+// ids and miniseries references given back their original type
+export const fromEditorForm = (form, miniseries = []) => {
+  const series = miniseries.find(entry => String(entry.id) === form.miniseries);
+  const record = {
+    id: /^\d+$/.test(form.id) ? Number(form.id) : form.id.trim(),
+    title: form.title.trim(),
+    episodeDate: form.episodeDate,
+    episodeNumber: form.episodeNumber.trim() || undefined,
+    miniseries: series ? series.id : undefined,
+    films: form.films
+      .filter(film => !isBlankFilm(film))
+      .map(film => ({ title: film.title.trim(), directors: splitList(film.directors), date: film.date })),
+    description: form.description.trim() || undefined,
+    content: form.content.trim() || undefined,
+    tags: form.tags.length > 0 ? form.tags : undefined,
+    links: form.links
+      .filter(link => !isBlankLink(link))
+      .map(link => ({ text: link.text.trim(), url: link.url.trim() }))
+  };
+  if (record.links.length === 0) {
+    delete record.links;
+  }
+  // Same key order as the schema (and episodes.json)
+  return Object.fromEntries(
+    Object.keys(EPISODE_SCHEMA)
+      .filter(key => record[key] !== undefined)
+      .map(key => [key, record[key]])
+  );
+};
+
+// Problems with form state, pointing at the field to fix, as
+// [{ key, params }] for the editor.* catalog messages. Blank film and link
+// rows are ignored (fromEditorForm drops them). Records that pass can still
+// fail the schema in ways the form can't express.
+export const checkEditorForm = (form) => {
+  const problems = [];
+  if (!form.id.trim()) {
+    problems.push({ key: 'editor.errorId' });
+  }
+  if (!form.title.trim()) {
+    problems.push({ key: 'editor.errorTitle' });
+  }
+  if (!parseISODate(form.episodeDate)) {
+    problems.push({ key: 'editor.errorAired' });
+  }
+  form.films.forEach((film, index) => {
+    const params = { number: index + 1 };
+    if (isBlankFilm(film)) {
+      return;
+    }
+    if (!film.title.trim()) {
+      problems.push({ key: 'editor.errorFilmTitle', params });
+    }
+    if (splitList(film.directors).length === 0) {
+      problems.push({ key: 'editor.errorFilmDirectors', params });
+    }
+    if (!parseISODate(film.date)) {
+      problems.push({ key: 'editor.errorFilmDate', params });
+    }
+  });
+  form.links.forEach((link, index) => {
+    const params = { number: index + 1 };
+    if (isBlankLink(link)) {
+      return;
+    }
+    if (!link.text.trim()) {
+      problems.push({ key: 'editor.errorLinkText', params });
+    }
+    if (!isWellFormedUrl(link.url.trim())) {
+      problems.push({ key: 'editor.errorLinkUrl', params });
+    }
+  });
+  return problems;
+};
+
+export const addFilm = (form) => ({ ...form, films: [...form.films, { ...EMPTY_FILM }] });
+export const addLink = (form) => ({ ...form, links: [...form.links, { ...EMPTY_LINK }] });
+
+// Dataset with `record` replacing the episode `originalId`, or appended
+// when `originalId` is null. Returns { data, errors } where `errors` are
+// problems with the edited record (schema, duplicate id, unknown miniseries).
+export const applyEpisodeEdit = (data, record, originalId) => {
+  const episodes = data.episodes || [];
+  const index = originalId === null ? -1 : episodes.findIndex(episode => episode.id === originalId);
+  if (originalId !== null && index === -1) {
+    return { data, errors: [`No episode with id ${JSON.stringify(originalId)}`] };
+  }
+
+  const errors = validateEpisode(record);
+  if (episodes.some((episode, i) => i !== index && episode.id === record.id)) {
+    errors.push(`"id" ${JSON.stringify(record.id)} is already used by another episode`);
+  }
+  const nextEpisodes = index === -1
+    ? [...episodes, record]
+    : episodes.map((episode, i) => (i === index ? record : episode));
+  const next = { ...data, episodes: nextEpisodes };
+
+  // Cross-record checks, such as the miniseries reference
+  if (errors.length === 0) {
+    const recordIndex = index === -1 ? nextEpisodes.length - 1 : index;
+    parseEpisodes(next).errors
+      .filter(error => error.collection === 'episodes' && error.index === recordIndex)
+      .forEach(error => errors.push(...error.messages));
+  }
+
+  return { data: next, errors };
+};
+
+// Line diff of two texts as [{ type: 'same' | 'add' | 'remove', text }],
+// from the longest common subsequence of lines
+export const diffLines = (before, after) => {
+  const a = before === '' ? [] : before.split('\n');
+  const b = after === '' ? [] : after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'remove', text: a[i++] });
+    } else {
+      lines.push({ type: 'add', text: b[j++] });
+    }
+  }
+  a.slice(i).forEach(text => lines.push({ type: 'remove', text }));
+  b.slice(j).forEach(text => lines.push({ type: 'add', text }));
+  return lines;
+};
+
+// Preview of rewriting a file from `before` to `after`: diffLines entries
+// for the lines that change, with up to `context` unchanged lines either
+// side. Lines shared at the start and end are set aside before diffing, so
+// a one-record edit to a large file stays cheap.
+export const diffFileChange = (before, after, context = 3) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+  if (start === a.length && start === b.length) {
+    return [];
+  }
+
+  const same = (text) => ({ type: 'same', text });
+  return [
+    ...a.slice(Math.max(start - context, 0), start).map(same),
+    ...diffLines(a.slice(start, a.length - end).join('\n'), b.slice(start, b.length - end).join('\n')),
+    ...a.slice(a.length - end, Math.min(a.length - end + context, a.length)).map(same)
+  ];
+};
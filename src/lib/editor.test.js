@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { checkEditorForm, diffFileChange, fromEditorForm, toEditorForm } from './editor.js';
+import { EPISODES_JSON } from '../test/fixtures.js';
+
+const formFor = (changes) => ({ ...toEditorForm(EPISODES_JSON.episodes[0]), ...changes });
+const keys = (problems) => problems.map(problem => problem.key);
+
+describe('checkEditorForm', () => {
+  it('accepts a complete episode', () => {
+    expect(checkEditorForm(formFor({}))).toEqual([]);
+  });
+
+  it('points at missing required fields', () => {
+    expect(keys(checkEditorForm(formFor({ id: ' ', title: '', episodeDate: '2015-02-30' }))))
+      .toEqual(['editor.errorId', 'editor.errorTitle', 'editor.errorAired']);
+  });
+
+  it('numbers incomplete film and link rows from one', () => {
+    const form = formFor({
+      films: [{ title: 'Jaws', directors: ' , ', date: '' }],
+      links: [{ text: 'Listen', url: 'ftp://example.com' }]
+    });
+    expect(checkEditorForm(form)).toEqual([
+      { key: 'editor.errorFilmDirectors', params: { number: 1 } },
+      { key: 'editor.errorFilmDate', params: { number: 1 } },
+      { key: 'editor.errorLinkUrl', params: { number: 1 } }
+    ]);
+  });
+
+  it('ignores blank rows, which are dropped from the record', () => {
+    const form = formFor({ films: [{ title: '', directors: '', date: '' }], links: [{ text: ' ', url: '' }] });
+    expect(checkEditorForm(form)).toEqual([]);
+    expect(fromEditorForm(form).films).toEqual([]);
+    expect(fromEditorForm(form).links).toBeUndefined();
+  });
+});
+
+describe('diffFileChange', () => {
+  const lines = (count) => Array.from({ length: count }, (_, i) => `line ${i}`);
+  const file = lines(20).join('\n');
+
+  it('shows changed lines with a little context either side', () => {
+    const after = file.replace('line 10', 'line ten');
+    expect(diffFileChange(file, after, 2)).toEqual([
+      { type: 'same', text: 'line 8' },
+      { type: 'same', text: 'line 9' },
+      { type: 'remove', text: 'line 10' },
+      { type: 'add', text: 'line ten' },
+      { type: 'same', text: 'line 11' },
+      { type: 'same', text: 'line 12' }
+    ]);
+  });
+
+  it('shows lines added at the end of the file', () => {
+    expect(diffFileChange('a\nb\n', 'a\nb\nc\n', 1)).toEqual([
+      { type: 'same', text: 'b' },
+      { type: 'add', text: 'c' },
+      { type: 'same', text: '' }
+    ]);
+  });
+
+  it('is empty when nothing changes', () => {
+    expect(diffFileChange(file, file)).toEqual([]);
+  });
+});
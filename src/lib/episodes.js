@@ -0,0 +1,376 @@
+// Schema, validation and normalization for public/data/episodes.json.
+// Shared by the Timeline component and scripts/validate-data.js, so keep it
+// free of browser- and Node-only APIs.
+//
+// The dataset is an object with two collections:
+//   miniseries - a director's run on the show (name, directors, episode range, title pun)
+//   episodes   - one podcast episode each, covering zero (bonus), one or many films
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Declared shape of a film covered by an episode
+export const FILM_SCHEMA = {
+  title: { type: 'string', required: true },
+  directors: { type: 'directors', required: true },
+  date: { type: 'date', required: true }
+};
+
+// Declared shape of a miniseries record
+export const MINISERIES_SCHEMA = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true },
+  directors: { type: 'directors', required: true },
+  startEpisode: { type: 'string', required: false, default: null },
+  endEpisode: { type: 'string', required: false, default: null },
+  pun: { type: 'string', required: false, default: null }
+};
+
+// Declared shape of a single episode record
+export const EPISODE_SCHEMA = {
+  id: { type: 'id', required: true },
+  title: { type: 'string', required: true },
+  episodeDate: { type: 'date', required: true },
+  episodeNumber: { type: 'string', required: false, default: null },
+  miniseries: { type: 'id', required: false, default: null },
+  films: { type: 'films', required: false, default: [] },
+  description: { type: 'string', required: false, default: '' },
+  content: { type: 'string', required: false, default: '' },
+  tags: { type: 'tags', required: false, default: [] },
+  links: { type: 'links', required: false, default: [] }
+};
+
+// Parse a YYYY-MM-DD string, rejecting impossible dates like 2015-02-30
+export const parseISODate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) {
+    return null;
+  }
+  // Built from its parts as UTC midnight: a date-only value, whatever the
+  // viewer's time zone (always format with timeZone: 'UTC' or toISODate)
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+};
+
+// YYYY-MM-DD string for a date parsed by parseISODate
+export const toISODate = (date) => date.toISOString().slice(0, 10);
+
+// Display string for one or more directors, e.g. "Lana Wachowski & Lilly Wachowski"
+export const formatDirectors = (directors) => {
+  if (directors.length <= 2) {
+    return directors.join(' & ');
+  }
+  return `${directors.slice(0, -1).join(', ')} & ${directors[directors.length - 1]}`;
+};
+
+// Display string for a date-only value. Dates are parsed as UTC midnight, so
+// format in UTC to show the same calendar day for every viewer.
+export const formatDate = (date, options = { year: 'numeric', month: 'long', day: 'numeric' }, locale = 'en-US') => (
+  date.toLocaleDateString(locale, { ...options, timeZone: 'UTC' })
+);
+
+// Today's calendar date in the viewer's time zone, as a date-only value
+// (UTC midnight, like parseISODate)
+export const localToday = (now = new Date()) => new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Absolute http(s) URL, as required for episode links
+export const isWellFormedUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Each checker returns an error message, or null when the value is fine
+const typeCheckers = {
+  id: (value) => (
+    (Number.isInteger(value) && value > 0) || isNonEmptyString(value)
+      ? null
+      : 'must be a positive integer or a non-empty string'
+  ),
+  string: (value) => (isNonEmptyString(value) ? null : 'must be a non-empty string'),
+  date: (value) => (parseISODate(value) ? null : `must be an ISO date (YYYY-MM-DD), got ${JSON.stringify(value)}`),
+  tags: (value) => (
+    Array.isArray(value) && value.every(isNonEmptyString)
+      ? null
+      : 'must be an array of non-empty strings'
+  ),
+  strings: (value) => (
+    Array.isArray(value) && value.every(isNonEmptyString)
+      ? null
+      : 'must be an array of non-empty strings'
+  ),
+  color: (value) => (
+    typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)
+      ? null
+      : `must be a #RRGGBB hex color, got ${JSON.stringify(value)}`
+  ),
+  directors: (value) => (
+    Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)
+      ? null
+      : 'must be a non-empty array of director names'
+  ),
+  links: (value) => {
+    if (!Array.isArray(value)) {
+      return 'must be an array of { text, url } objects';
+    }
+    const badIndex = value.findIndex(link =>
+      !link || !isNonEmptyString(link.text) || !isWellFormedUrl(link.url)
+    );
+    return badIndex === -1
+      ? null
+      : `entry ${badIndex} must have a non-empty "text" and an http(s) "url"`;
+  },
+  films: (value) => {
+    if (!Array.isArray(value)) {
+      return 'must be an array of film objects';
+    }
+    const problems = value.flatMap((film, index) =>
+      validateRecord(film, FILM_SCHEMA).map(message => `entry ${index}: ${message}`)
+    );
+    return problems.length === 0 ? null : problems.join('; ');
+  }
+};
+
+// Validate one record against a schema; returns a list of messages
+export const validateRecord = (record, schema) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`"${field}" is required`);
+      }
+      return;
+    }
+    const message = typeCheckers[rule.type](value);
+    if (message) {
+      errors.push(`"${field}" ${message}`);
+    }
+  });
+  return errors;
+};
+
+export const validateEpisode = (record) => validateRecord(record, EPISODE_SCHEMA);
+
+// Fill in defaults, trim strings and convert date strings to Date objects
+export const normalizeRecord = (record, schema) => {
+  const normalized = { ...record };
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      if ('default' in rule) {
+        normalized[field] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+      }
+      return;
+    }
+    if (rule.type === 'string') {
+      normalized[field] = value.trim();
+    } else if (rule.type === 'date') {
+      normalized[field] = parseISODate(value);
+    } else if (rule.type === 'color') {
+      normalized[field] = value.toUpperCase();
+    } else if (rule.type === 'tags' || rule.type === 'directors' || rule.type === 'strings') {
+      normalized[field] = [...new Set(value.map(item => item.trim()))];
+    } else if (rule.type === 'films') {
+      normalized[field] = value
+        .map(film => normalizeRecord(film, FILM_SCHEMA))
+        .sort((a, b) => a.date - b.date);
+    }
+  });
+  return normalized;
+};
+
+const YEAR_MS = 365.2425 * 24 * 60 * 60 * 1000;
+
+// Turn a normalized episode into a timeline event. `date` is the release of
+// the earliest film covered (null for bonus episodes), `directors` is every
+// director across those films and `director` is the display string.
+// `yearsSinceRelease` is how long after that release the episode came out.
+export const toTimelineEvent = (episode) => {
+  const directors = [...new Set(episode.films.flatMap(film => film.directors))];
+  const date = episode.films.length > 0 ? episode.films[0].date : null;
+  return {
+    ...episode,
+    date,
+    directors,
+    director: formatDirectors(directors),
+    isBonus: episode.films.length === 0,
+    yearsSinceRelease: date ? (episode.episodeDate - date) / YEAR_MS : null
+  };
+};
+
+// Raw episodes.json record for a timeline event (the reverse of
+// normalizeRecord + toTimelineEvent), with empty optional fields left out
+export const toEpisodeRecord = (event) => {
+  const record = {};
+  Object.entries(EPISODE_SCHEMA).forEach(([field, rule]) => {
+    const value = event[field];
+    if (value === null || value === undefined || (Array.isArray(value) ? value.length === 0 : value === '')) {
+      if (rule.required) {
+        record[field] = value;
+      }
+      return;
+    }
+    if (rule.type === 'date') {
+      record[field] = toISODate(value);
+    } else if (rule.type === 'films') {
+      record[field] = value.map(film => ({ title: film.title, directors: film.directors, date: toISODate(film.date) }));
+    } else {
+      record[field] = value;
+    }
+  });
+  return record;
+};
+
+// Validate every record of one collection, tracking duplicate ids (or
+// another unique key such as a director's name)
+export const collectRecords = (collection, records, schema, validateExtra, key = 'id') => {
+  const valid = [];
+  const errors = [];
+  const seenIds = new Map();
+
+  records.forEach((record, index) => {
+    const messages = validateRecord(record, schema);
+    const id = record && typeof record === 'object' ? record[key] : undefined;
+
+    if (id !== undefined && id !== null) {
+      if (seenIds.has(id)) {
+        messages.push(`"${key}" ${JSON.stringify(id)} is already used by record ${seenIds.get(id)}`);
+      } else {
+        seenIds.set(id, index);
+      }
+    }
+    if (messages.length === 0 && validateExtra) {
+      messages.push(...validateExtra(record));
+    }
+
+    if (messages.length > 0) {
+      errors.push({
+        collection,
+        index,
+        id: id ?? null,
+        title: record && typeof (record.title ?? record.name) === 'string' ? (record.title ?? record.name) : null,
+        messages
+      });
+      return;
+    }
+
+    valid.push(normalizeRecord(record, schema));
+  });
+
+  return { valid, errors };
+};
+
+// Validate and normalize a whole dataset. Invalid records are left out of
+// `events`/`miniseries` and reported in `errors` as
+// { collection, index, id, title, messages }.
+export const parseEpisodes = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.episodes)) {
+    return {
+      events: [],
+      miniseries: [],
+      errors: [{
+        collection: null,
+        index: null,
+        id: null,
+        title: null,
+        messages: ['dataset must be an object with an "episodes" array (and optionally "miniseries")']
+      }]
+    };
+  }
+
+  const series = collectRecords('miniseries', data.miniseries || [], MINISERIES_SCHEMA);
+  const seriesIds = new Set(series.valid.map(entry => entry.id));
+
+  const episodes = collectRecords('episodes', data.episodes, EPISODE_SCHEMA, (record) => (
+    record.miniseries !== undefined && record.miniseries !== null && !seriesIds.has(record.miniseries)
+      ? [`"miniseries" ${JSON.stringify(record.miniseries)} does not match any miniseries id`]
+      : []
+  ));
+
+  const events = episodes.valid.map(toTimelineEvent);
+
+  // Sort by film release date; bonus episodes (no film) go last, by episode date
+  events.sort((a, b) => {
+    if (a.date && b.date) return a.date - b.date;
+    if (a.date) return -1;
+    if (b.date) return 1;
+    return a.episodeDate - b.episodeDate;
+  });
+
+  return {
+    events,
+    miniseries: series.valid,
+    errors: [...series.errors, ...episodes.errors]
+  };
+};
+
+// One-line summary of a record error, used by the UI and the CLI
+export const describeError = (error) => {
+  const label = error.index === null
+    ? 'Dataset'
+    : `${error.collection}[${error.index}]${error.id !== null ? ` (id ${JSON.stringify(error.id)})` : ''}${error.title ? ` "${error.title}"` : ''}`;
+  return `${label}: ${error.messages.join('; ')}`;
+};
+
+// URL slug for a director name, e.g. "M. Night Shyamalan" -> "m-night-shyamalan"
+export const directorSlug = (name) => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Longest line (including indentation) an array or object is kept on
+const INLINE_WIDTH = 100;
+
+// Serialize raw dataset JSON the way episodes.json is laid out by hand: the
+// collections, their records and each record's film list expanded, other
+// nested values (a film, tags, links) on one line when they fit. Used by
+// scripts that rewrite the file.
+export const serializeDataset = (data) => {
+  const inline = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(inline).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inline(item)}`);
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    return JSON.stringify(value);
+  };
+
+  const format = (value, depth, key) => {
+    if (!value || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+    const indent = '  '.repeat(depth);
+    const oneLine = inline(value);
+    // The root, its collections, each record and its films are always expanded
+    if (depth > 2 && key !== 'films' && indent.length + oneLine.length <= INLINE_WIDTH) {
+      return oneLine;
+    }
+    const inner = '  '.repeat(depth + 1);
+    if (Array.isArray(value)) {
+      return value.length === 0
+        ? '[]'
+        : `[\n${value.map(item => `${inner}${format(item, depth + 1)}`).join(',\n')}\n${indent}]`;
+    }
+    const entries = Object.entries(value)
+      .map(([name, item]) => `${inner}${JSON.stringify(name)}: ${format(item, depth + 1, name)}`);
+    return entries.length === 0 ? '{}' : `{\n${entries.join(',\n')}\n${indent}}`;
+  };
+
+  return `${format(data, 0)}\n`;
+};
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest';
+import {
+  parseEpisodes, validateEpisode, describeError, toEpisodeRecord, parseISODate, formatDirectors
+} from './episodes.js';
+import { EPISODES_JSON } from '../test/fixtures.js';
+
+const VALID = {
+  id: 10,
+  title: '  The Sixth Sense ',
+  episodeDate: '2016-01-03',
+  episodeNumber: '#20',
+  films: [
+    { title: 'Unbreakable', directors: ['M. Night Shyamalan'], date: '2000-11-22' },
+    { title: 'The Sixth Sense', directors: ['M. Night Shyamalan'], date: '1999-08-06' }
+  ],
+  tags: ['thriller', 'thriller '],
+  links: [{ text: 'Listen', url: 'https://example.com/sixth-sense' }]
+};
+
+describe('parseISODate', () => {
+  it('parses a calendar date as UTC midnight', () => {
+    expect(parseISODate('1999-05-19')).toEqual(new Date(Date.UTC(1999, 4, 19)));
+  });
+
+  it('rejects impossible dates and other formats', () => {
+    expect(parseISODate('2015-02-30')).toBeNull();
+    expect(parseISODate('19/05/1999')).toBeNull();
+    expect(parseISODate(19990519)).toBeNull();
+  });
+});
+
+describe('formatDirectors', () => {
+  it('joins the last two names with an ampersand', () => {
+    expect(formatDirectors(['Lana Wachowski', 'Lilly Wachowski'])).toBe('Lana Wachowski & Lilly Wachowski');
+    expect(formatDirectors(['A', 'B', 'C'])).toBe('A, B & C');
+  });
+});
+
+describe('validateEpisode', () => {
+  it('accepts a valid record', () => {
+    expect(validateEpisode(VALID)).toEqual([]);
+  });
+
+  it('reports missing required fields', () => {
+    expect(validateEpisode({ id: 11 })).toEqual(['"title" is required', '"episodeDate" is required']);
+  });
+
+  it('reports fields of the wrong type', () => {
+    expect(validateEpisode({
+      id: -1,
+      title: 42,
+      episodeDate: '2016-13-01',
+      films: { title: 'Signs' },
+      tags: 'horror',
+      links: [{ text: 'Listen', url: 'ftp://example.com' }]
+    })).toEqual([
+      '"id" must be a positive integer or a non-empty string',
+      '"title" must be a non-empty string',
+      '"episodeDate" must be an ISO date (YYYY-MM-DD), got "2016-13-01"',
+      '"films" must be an array of film objects',
+      '"tags" must be an array of non-empty strings',
+      '"links" entry 0 must have a non-empty "text" and an http(s) "url"'
+    ]);
+  });
+
+  it('reports problems inside films', () => {
+    expect(validateEpisode({ ...VALID, films: [{ title: 'Signs', directors: [] }] })).toEqual([
+      '"films" entry 0: "directors" must be a non-empty array of director names; entry 0: "date" is required'
+    ]);
+  });
+
+  it('rejects a record that isn\'t an object', () => {
+    expect(validateEpisode(null)).toEqual(['record must be an object']);
+    expect(validateEpisode(['title'])).toEqual(['record must be an object']);
+  });
+});
+
+describe('parseEpisodes', () => {
+  it('normalizes a valid record into a timeline event', () => {
+    const { events, errors } = parseEpisodes({ episodes: [VALID] });
+    expect(errors).toEqual([]);
+    const [event] = events;
+    expect(event.title).toBe('The Sixth Sense');
+    expect(event.films.map(film => film.title)).toEqual(['The Sixth Sense', 'Unbreakable']);
+    expect(event.date).toEqual(parseISODate('1999-08-06'));
+    expect(event.director).toBe('M. Night Shyamalan');
+    expect(event.tags).toEqual(['thriller']);
+    expect(event.isBonus).toBe(false);
+    expect(event.yearsSinceRelease).toBeCloseTo(16.4, 1);
+  });
+
+  it('fills in defaults for missing optional fields', () => {
+    const { events } = parseEpisodes({ episodes: [{ id: 'mailbag', title: 'Mailbag', episodeDate: '2016-06-01' }] });
+    expect(events[0]).toMatchObject({
+      miniseries: null,
+      films: [],
+      description: '',
+      content: '',
+      tags: [],
+      links: [],
+      date: null,
+      isBonus: true,
+      yearsSinceRelease: null
+    });
+  });
+
+  it('skips a record with missing fields and keeps the rest', () => {
+    const { events, errors } = parseEpisodes({ episodes: [{ id: 12, title: 'Glass' }, VALID] });
+    expect(events.map(event => event.id)).toEqual([10]);
+    expect(errors).toEqual([{
+      collection: 'episodes',
+      index: 0,
+      id: 12,
+      title: 'Glass',
+      messages: ['"episodeDate" is required']
+    }]);
+    expect(describeError(errors[0])).toBe('episodes[0] (id 12) "Glass": "episodeDate" is required');
+  });
+
+  it('skips records with wrong types', () => {
+    const { events, errors } = parseEpisodes({ episodes: [{ ...VALID, content: ['notes'] }, 'Signs'] });
+    expect(events).toEqual([]);
+    expect(errors.map(error => error.messages)).toEqual([
+      ['"content" must be a non-empty string'],
+      ['record must be an object']
+    ]);
+  });
+
+  it('reports duplicate ids and unknown miniseries', () => {
+    const { errors } = parseEpisodes({ episodes: [VALID, { ...VALID, miniseries: 'nope' }, { ...VALID, id: 13, miniseries: 'nope' }] });
+    expect(errors.map(error => error.messages)).toEqual([
+      ['"id" 10 is already used by record 0'],
+      ['"miniseries" "nope" does not match any miniseries id']
+    ]);
+  });
+
+  it('rejects a dataset without an episodes array', () => {
+    const { events, errors } = parseEpisodes([]);
+    expect(events).toEqual([]);
+    expect(describeError(errors[0])).toMatch(/^Dataset: dataset must be an object/);
+  });
+
+  it('sorts by film release, with bonus episodes last', () => {
+    expect(parseEpisodes(EPISODES_JSON).events.map(event => event.id)).toEqual([1, 2, 3, 4, 'mailbag']);
+  });
+});
+
+describe('toEpisodeRecord', () => {
+  it('turns an event back into its stored record, leaving out empty fields', () => {
+    const [event] = parseEpisodes({ episodes: [{ ...VALID, tags: ['thriller'] }] }).events;
+    expect(toEpisodeRecord(event)).toEqual({
+      ...VALID,
+      title: 'The Sixth Sense',
+      films: [VALID.films[1], VALID.films[0]],
+      tags: ['thriller']
+    });
+  });
+});
@@ -0,0 +1,204 @@
+// Export formats for the filtered timeline: CSV and JSON of the episodes,
+// an iCalendar file of episode dates and an SVG image of the timeline.
+// Pure string builders; downloading (and rasterizing SVG to PNG) happens in
+// components/ExportMenu.js.
+
+import { formatDirectors, serializeDataset, toEpisodeRecord, toISODate } from './episodes.js';
+
+const CSV_COLUMNS = [
+  ['id', event => event.id],
+  ['episode_number', event => event.episodeNumber],
+  ['title', event => event.title],
+  ['episode_date', event => toISODate(event.episodeDate)],
+  ['films', event => event.films.map(film => film.title).join('; ')],
+  ['film_dates', event => event.films.map(film => toISODate(film.date)).join('; ')],
+  ['directors', event => event.directors.join('; ')],
+  ['years_since_release', event => (event.yearsSinceRelease === null ? '' : event.yearsSinceRelease.toFixed(2))],
+  ['miniseries', event => event.miniseries],
+  ['tags', event => event.tags.join('; ')],
+  ['description', event => event.description],
+  ['links', event => event.links.map(link => link.url).join(' ')]
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per episode, lists joined with "; "
+export const toCSV = (events) => [
+  CSV_COLUMNS.map(([name]) => name),
+  ...events.map(event => CSV_COLUMNS.map(([, value]) => value(event)))
+].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Same layout as episodes.json, so an export can be validated or merged
+// back. Includes the miniseries the exported episodes belong to.
+export const toJSON = (events, miniseries = []) => {
+  const seriesIds = new Set(events.map(event => event.miniseries).filter(Boolean));
+  const series = miniseries
+    .filter(record => seriesIds.has(record.id))
+    .map(record => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null)));
+  return serializeDataset({
+    ...(series.length > 0 && { miniseries: series }),
+    episodes: events.map(toEpisodeRecord)
+  });
+};
+
+const icsText = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDate = (date) => toISODate(date).replace(/-/g, '');
+
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// All-day calendar events on each episode's release date. `now` stamps the
+// entries (DTSTAMP).
+export const toICal = (events, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Blank Check Timeline//Episodes//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Blank Check episodes'
+  ];
+  events.forEach(event => {
+    const end = new Date(event.episodeDate.getTime() + 24 * 60 * 60 * 1000);
+    const films = event.films.map(film => `${film.title} (${formatDirectors(film.directors)}, ${film.date.getUTCFullYear()})`);
+    const description = [films.length > 0 && `Films: ${films.join(', ')}`, event.description].filter(Boolean).join('\n\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:episode-${event.id}@blank-check-timeline`,
+      `DTSTAMP:${icsTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.episodeDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(end)}`,
+      `SUMMARY:${icsText(`Blank Check${event.episodeNumber ? ` ${event.episodeNumber}` : ''}: ${event.title}`)}`,
+      ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+      ...(event.links.length > 0 ? [`URL:${event.links[0].url}`] : []),
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const xmlText = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Characters of a label kept before truncating with an ellipsis
+const MAX_LABEL_CHARS = 28;
+
+const truncate = (text) => (text.length > MAX_LABEL_CHARS ? `${text.slice(0, MAX_LABEL_CHARS - 1)}…` : text);
+
+const FONT = 'font-family="ui-sans-serif, system-ui, sans-serif"';
+
+// SVG image of the visible part of the timeline. Positions are percentages
+// of the full (zoomed) timeline as used on screen; `viewport` is the visible
+// { start, end } percentage range, stretched to `width` pixels.
+//   markers - [{ position, top, color, shape ('circle' | 'diamond'), label, sublabel, caption }]
+//   links   - [{ from, to, fromTop, toTop, color }] lines between two positions
+//   bands   - [{ start, end, color, label }] miniseries spans
+//   ticks   - axis ticks from generateTicks; `axisTop` adds a mirrored top axis
+export const renderTimelineSVG = ({
+  width,
+  height,
+  viewport = { start: 0, end: 100 },
+  title,
+  markers = [],
+  links = [],
+  bands = [],
+  ticks = [],
+  axisTop = false
+}) => {
+  const span = Math.max(viewport.end - viewport.start, 0.0001);
+  const x = (position) => (((position - viewport.start) / span) * width).toFixed(1);
+  const visible = (position) => position >= viewport.start - span * 0.1 && position <= viewport.end + span * 0.1;
+  const titleHeight = title ? 28 : 0;
+  const parts = [];
+
+  if (title) {
+    parts.push(`<text x="8" y="20" font-size="16" font-weight="bold" fill="#111827">${xmlText(title)}</text>`);
+  }
+  parts.push(`<g transform="translate(0 ${titleHeight})">`);
+
+  bands.filter(band => band.end >= viewport.start && band.start <= viewport.end).forEach(band => {
+    const left = Number(x(band.start));
+    const bandWidth = Math.max(Number(x(band.end)) - left, 6);
+    parts.push(
+      `<rect x="${left}" y="0" width="${bandWidth.toFixed(1)}" height="16" fill="${band.color}" fill-opacity="0.2" stroke="${band.color}" stroke-width="1"/>`,
+      `<text x="${left + 4}" y="11" font-size="10" fill="${band.color}">${xmlText(truncate(band.label))}</text>`
+    );
+  });
+
+  links.filter(link => visible(link.from) || visible(link.to)).forEach(link => {
+    parts.push(`<line x1="${x(link.from)}" y1="${link.fromTop}" x2="${x(link.to)}" y2="${link.toTop}" stroke="${link.color}" stroke-opacity="0.5" stroke-width="1.5"/>`);
+  });
+
+  markers.filter(marker => visible(marker.position)).forEach(marker => {
+    const cx = x(marker.position);
+    if (marker.shape === 'diamond') {
+      parts.push(`<rect x="${(Number(cx) - 6).toFixed(1)}" y="${marker.top - 6}" width="12" height="12" fill="${marker.color}" transform="rotate(45 ${cx} ${marker.top})"/>`);
+    } else {
+      parts.push(`<circle cx="${cx}" cy="${marker.top}" r="8" fill="${marker.color}"/>`);
+    }
+    [
+      [marker.label, 24, 13, '#111827', ' font-weight="600"'],
+      [marker.sublabel, 38, 11, marker.color, ''],
+      [marker.caption, 51, 11, '#6b7280', '']
+    ].filter(([text]) => text).forEach(([text, offset, size, fill, weight]) => {
+      parts.push(`<text x="${cx}" y="${marker.top + offset}" font-size="${size}" fill="${fill}" text-anchor="middle"${weight}>${xmlText(truncate(text))}</text>`);
+    });
+  });
+
+  // Tick marks with labels below them (bottom axis) or above them (top axis),
+  // like components/TimeAxis.js
+  const axis = (placement) => ticks.filter(tick => visible(tick.position)).map(tick => {
+    const tickX = x(tick.position);
+    const length = tick.major ? 16 : 8;
+    const [lineTop, labelY] = placement === 'top' ? [14, 11] : [height - 16 - length, height - 4];
+    return [
+      `<line x1="${tickX}" y1="${lineTop}" x2="${tickX}" y2="${lineTop + length}" stroke="#9ca3af"/>`,
+      `<text x="${tickX}" y="${labelY}" font-size="11" fill="${tick.major ? '#4b5563' : '#6b7280'}" text-anchor="middle"${tick.major ? ' font-weight="500"' : ''}>${xmlText(tick.label)}</text>`
+    ].join('');
+  }).join('');
+
+  if (axisTop) {
+    parts.push(axis('top'));
+  }
+  parts.push(axis('bottom'));
+  parts.push(`<line x1="0" y1="${height + 2}" x2="${width}" y2="${height + 2}" stroke="#d1d5db" stroke-width="4"/>`);
+  parts.push('</g>');
+
+  const totalHeight = titleHeight + height + 4;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" ${FONT}>`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+};
@@ -0,0 +1,143 @@
+// Filter composition for the timeline. Director and tag chips can each be
+// included or excluded, tags can match any or all of the included ones,
+// film release / episode air dates can be limited to a range, and episodes
+// already listened to can be hidden.
+
+import { parseISODate } from './episodes.js';
+
+export const DEFAULT_FILTERS = {
+  includeDirectors: [],
+  excludeDirectors: [],
+  includeTags: [],
+  excludeTags: [],
+  tagMatch: 'any', // 'any' or 'all' of the included tags
+  filmFrom: null, // YYYY-MM-DD bounds, inclusive
+  filmTo: null,
+  episodeFrom: null,
+  episodeTo: null,
+  unlistenedOnly: false
+};
+
+const LIST_KEYS = ['includeDirectors', 'excludeDirectors', 'includeTags', 'excludeTags'];
+const DATE_KEYS = ['filmFrom', 'filmTo', 'episodeFrom', 'episodeTo'];
+
+// Whether any filter differs from the defaults
+export const hasActiveFilters = (filters) => (
+  LIST_KEYS.some(key => filters[key].length > 0) ||
+  DATE_KEYS.some(key => filters[key] !== null) ||
+  filters.tagMatch !== DEFAULT_FILTERS.tagMatch ||
+  filters.unlistenedOnly
+);
+
+// Number of active filters: each included or excluded chip, date bound,
+// non-default tag matching and "unlistened only" counts once
+export const countActiveFilters = (filters) => (
+  LIST_KEYS.reduce((count, key) => count + filters[key].length, 0) +
+  DATE_KEYS.filter(key => filters[key] !== null).length +
+  (filters.tagMatch !== DEFAULT_FILTERS.tagMatch ? 1 : 0) +
+  (filters.unlistenedOnly ? 1 : 0)
+);
+
+export const sameFilters = (a, b) => (
+  LIST_KEYS.every(key => a[key].length === b[key].length && a[key].every((item, i) => item === b[key][i])) &&
+  DATE_KEYS.every(key => a[key] === b[key]) &&
+  a.tagMatch === b.tagMatch &&
+  a.unlistenedOnly === b.unlistenedOnly
+);
+
+// Coerce stored or URL-provided values into a valid filters object
+export const normalizeFilters = (value) => {
+  const filters = { ...DEFAULT_FILTERS };
+  if (!value || typeof value !== 'object') {
+    return filters;
+  }
+  LIST_KEYS.forEach(key => {
+    if (Array.isArray(value[key])) {
+      filters[key] = [...new Set(value[key].filter(item => typeof item === 'string' && item !== ''))];
+    }
+  });
+  DATE_KEYS.forEach(key => {
+    filters[key] = parseISODate(value[key]) ? value[key] : null;
+  });
+  filters.tagMatch = value.tagMatch === 'all' ? 'all' : 'any';
+  filters.unlistenedOnly = value.unlistenedOnly === true;
+  return filters;
+};
+
+// State of a chip: 'include', 'exclude' or null
+export const getChipState = (filters, kind, value) => {
+  if (filters[`include${kind}`].includes(value)) return 'include';
+  if (filters[`exclude${kind}`].includes(value)) return 'exclude';
+  return null;
+};
+
+// Cycle a chip (kind is 'Directors' or 'Tags') from off to include to exclude and back
+export const cycleChip = (filters, kind, value) => {
+  const include = filters[`include${kind}`];
+  const exclude = filters[`exclude${kind}`];
+  const state = getChipState(filters, kind, value);
+
+  if (state === 'include') {
+    return {
+      ...filters,
+      [`include${kind}`]: include.filter(item => item !== value),
+      [`exclude${kind}`]: [...exclude, value]
+    };
+  }
+  if (state === 'exclude') {
+    return { ...filters, [`exclude${kind}`]: exclude.filter(item => item !== value) };
+  }
+  return { ...filters, [`include${kind}`]: [...include, value] };
+};
+
+const inDateRange = (date, from, to) => {
+  if (!from && !to) return true;
+  if (!date) return false;
+  const fromDate = parseISODate(from);
+  const toDate = parseISODate(to);
+  return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+};
+
+// Apply filters to events. Included directors are ORed, included tags are
+// ORed or ANDed by `tagMatch`, and anything excluded is dropped.
+// `isListened(event)` tells whether an episode has been listened to.
+export const applyFilters = (events, filters, isListened = () => false) => events.filter(event => {
+  const { includeDirectors, excludeDirectors, includeTags, excludeTags, tagMatch } = filters;
+
+  if (filters.unlistenedOnly && isListened(event)) {
+    return false;
+  }
+
+  if (includeDirectors.length > 0 && !event.directors.some(director => includeDirectors.includes(director))) {
+    return false;
+  }
+  if (event.directors.some(director => excludeDirectors.includes(director))) {
+    return false;
+  }
+
+  if (includeTags.length > 0) {
+    const matches = tagMatch === 'all'
+      ? includeTags.every(tag => event.tags.includes(tag))
+      : includeTags.some(tag => event.tags.includes(tag));
+    if (!matches) {
+      return false;
+    }
+  }
+  if (event.tags.some(tag => excludeTags.includes(tag))) {
+    return false;
+  }
+
+  return inDateRange(event.date, filters.filmFrom, filters.filmTo) &&
+    inDateRange(event.episodeDate, filters.episodeFrom, filters.episodeTo);
+});
+
+// The timeline's episodes: `applyFilters`, then only the episodes among
+// `searchResults` (from searchEvents), unless there is no search (null)
+export const filterEvents = (events, filters, isListened, searchResults = null) => {
+  const filtered = applyFilters(events, filters, isListened);
+  if (!searchResults) {
+    return filtered;
+  }
+  const matches = new Set(searchResults.map(result => result.event.id));
+  return filtered.filter(event => matches.has(event.id));
+};
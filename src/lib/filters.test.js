@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_FILTERS, applyFilters, filterEvents, cycleChip, getChipState, countActiveFilters, normalizeFilters
+} from './filters.js';
+import { buildSearchIndex, parseQuery, searchEvents } from './search.js';
+import { loadFixture } from '../test/fixtures.js';
+
+const { events } = loadFixture();
+const ids = (list) => list.map(event => event.id);
+const withFilters = (changes) => ({ ...DEFAULT_FILTERS, ...changes });
+
+describe('applyFilters', () => {
+  it('keeps every event with the default filters', () => {
+    expect(applyFilters(events, DEFAULT_FILTERS)).toHaveLength(events.length);
+  });
+
+  it('returns nothing for no events', () => {
+    expect(applyFilters([], withFilters({ includeDirectors: ['George Lucas'] }))).toEqual([]);
+  });
+
+  it('ORs included directors', () => {
+    const result = applyFilters(events, withFilters({ includeDirectors: ['George Lucas', 'Steven Spielberg'] }));
+    expect(ids(result)).toEqual([1, 2, 4]);
+  });
+
+  it('drops excluded directors', () => {
+    const result = applyFilters(events, withFilters({ excludeDirectors: ['George Lucas'] }));
+    expect(ids(result)).not.toContain(1);
+    expect(ids(result)).toContain('mailbag');
+  });
+
+  it('matches any or all included tags', () => {
+    expect(ids(applyFilters(events, withFilters({ includeTags: ['romance', 'fantasy'] })))).toEqual([2, 3]);
+    expect(ids(applyFilters(events, withFilters({ includeTags: ['sci-fi', 'romance'], tagMatch: 'all' })))).toEqual([2]);
+  });
+
+  it('drops excluded tags and keeps events without tags', () => {
+    const result = applyFilters(events, withFilters({ excludeTags: ['sci-fi'] }));
+    expect(ids(result)).toEqual([3, 4, 'mailbag']);
+  });
+
+  it('limits inclusive date ranges', () => {
+    expect(ids(applyFilters(events, withFilters({ episodeFrom: '2015-04-19', episodeTo: '2016-01-24' })))).toEqual([2, 3]);
+    expect(ids(applyFilters(events, withFilters({ filmTo: '1999-05-19' })))).toEqual([1]);
+  });
+
+  it('leaves out bonus episodes, which have no release date, from film date ranges', () => {
+    const result = applyFilters(events, withFilters({ filmFrom: '1900-01-01' }));
+    expect(ids(result)).not.toContain('mailbag');
+  });
+
+  it('hides listened episodes when asked', () => {
+    const isListened = event => event.id === 1;
+    expect(ids(applyFilters(events, withFilters({ unlistenedOnly: true }), isListened))).not.toContain(1);
+    expect(ids(applyFilters(events, DEFAULT_FILTERS, isListened))).toContain(1);
+  });
+});
+
+describe('filterEvents', () => {
+  const index = buildSearchIndex(events);
+  const search = (text) => searchEvents(index, parseQuery(text));
+
+  it('applies the filters alone when there is no search', () => {
+    expect(filterEvents(events, withFilters({ includeTags: ['fantasy'] }), undefined, null)).toHaveLength(1);
+  });
+
+  it('narrows the filtered events to the search results', () => {
+    const result = filterEvents(events, withFilters({ includeDirectors: ['George Lucas'] }), undefined, search('clones'));
+    expect(ids(result)).toEqual([2]);
+  });
+
+  it('keeps the filtered order rather than the relevance order', () => {
+    const result = filterEvents(events, DEFAULT_FILTERS, undefined, search('tag:sci-fi'));
+    expect(ids(result)).toEqual([1, 2]);
+  });
+
+  it('returns nothing when the search matches nothing', () => {
+    expect(filterEvents(events, DEFAULT_FILTERS, undefined, search('zzzzzz'))).toEqual([]);
+  });
+});
+
+describe('cycleChip', () => {
+  it('cycles off, include, exclude and back to off', () => {
+    const included = cycleChip(DEFAULT_FILTERS, 'Tags', 'sci-fi');
+    expect(getChipState(included, 'Tags', 'sci-fi')).toBe('include');
+    const excluded = cycleChip(included, 'Tags', 'sci-fi');
+    expect(getChipState(excluded, 'Tags', 'sci-fi')).toBe('exclude');
+    expect(getChipState(cycleChip(excluded, 'Tags', 'sci-fi'), 'Tags', 'sci-fi')).toBeNull();
+  });
+
+  it('counts each chip as one active filter', () => {
+    const filters = cycleChip(cycleChip(DEFAULT_FILTERS, 'Directors', 'George Lucas'), 'Tags', 'fantasy');
+    expect(countActiveFilters(filters)).toBe(2);
+  });
+});
+
+describe('normalizeFilters', () => {
+  it('fills in missing fields and drops invalid values', () => {
+    const filters = normalizeFilters({ includeTags: ['sci-fi', '', 3, 'sci-fi'], filmFrom: '2015-02-30', tagMatch: 'some' });
+    expect(filters.includeTags).toEqual(['sci-fi']);
+    expect(filters.filmFrom).toBeNull();
+    expect(filters.tagMatch).toBe('any');
+    expect(filters.excludeDirectors).toEqual([]);
+  });
+
+  it('returns the defaults for a non-object', () => {
+    expect(normalizeFilters(null)).toEqual(DEFAULT_FILTERS);
+  });
+});
@@ -0,0 +1,113 @@
+// Localization: message catalogs for the UI strings, locale matching and
+// date formatting. Catalogs are flat maps of dotted keys to strings with
+// {name} placeholders; a plural message is an object keyed by
+// Intl.PluralRules category ({ one, other }) and chosen by the `count`
+// parameter. Missing keys fall back to English, then to the key itself.
+
+import { formatDate, toISODate } from './episodes.js';
+import { messages as en } from './messages/en.js';
+import { messages as es } from './messages/es.js';
+
+export const CATALOGS = { en, es };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Each language named in itself, for the language picker
+export const LOCALE_NAMES = {
+  en: 'English',
+  es: 'Español'
+};
+
+// Date styles for date-only values ('iso' is YYYY-MM-DD in every locale)
+export const DATE_FORMATS = {
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  numeric: { year: 'numeric', month: 'numeric', day: 'numeric' },
+  iso: null
+};
+export const DEFAULT_DATE_FORMAT = 'medium';
+
+const STORAGE_KEY = 'blank-check-timeline:locale';
+
+// First supported locale among language tags such as navigator.languages
+// ("es-MX" matches "es"), or the default
+export const matchLocale = (tags = []) => {
+  for (const tag of tags) {
+    const language = String(tag).toLowerCase().split('-')[0];
+    if (Object.hasOwn(CATALOGS, language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+const pluralRules = new Map();
+
+const pluralCategory = (locale, count) => {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale).select(count);
+};
+
+// Message `key` in `locale` with {name} placeholders filled from `params`.
+// Placeholders without a parameter are left as they are, so callers can
+// split a message around one to insert an element.
+export const translate = (locale, key, params = {}) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  let message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = message[pluralCategory(locale, params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.hasOwn(params, name) ? String(params[name]) : match
+  ));
+};
+
+// `t(key, params)` bound to a locale
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+// Display string for a date-only value (see parseISODate) in one of
+// DATE_FORMATS. Formatted in UTC, so every viewer sees the same day.
+export const formatDateOnly = (date, locale = DEFAULT_LOCALE, format = DEFAULT_DATE_FORMAT) => {
+  const options = Object.hasOwn(DATE_FORMATS, format) ? DATE_FORMATS[format] : DATE_FORMATS[DEFAULT_DATE_FORMAT];
+  return options ? formatDate(date, options, locale) : toISODate(date);
+};
+
+// Display string for the gap between a film's release and its episode
+export const formatYearsSinceRelease = (years, locale = DEFAULT_LOCALE) => {
+  if (years === null) {
+    return '';
+  }
+  if (Math.abs(years) < 1) {
+    const months = Math.round(years * 12);
+    return translate(locale, 'duration.months', { count: months });
+  }
+  const count = years.toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  return translate(locale, 'duration.years', { count });
+};
+
+// Stored { locale, dateFormat }; locale is null until the viewer picks one
+export const loadLocalePreferences = () => {
+  const defaults = { locale: null, dateFormat: DEFAULT_DATE_FORMAT };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      locale: Object.hasOwn(CATALOGS, stored.locale) ? stored.locale : defaults.locale,
+      dateFormat: Object.hasOwn(DATE_FORMATS, stored.dateFormat) ? stored.dateFormat : defaults.dateFormat
+    };
+  } catch {
+    return defaults;
+  }
+};
+
+export const saveLocalePreferences = (preferences) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch {
+    // Storage unavailable (private mode, quota); the choice lasts for this visit
+  }
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { CATALOGS, formatDateOnly, formatYearsSinceRelease, matchLocale, translate } from './i18n.js';
+import { parseISODate } from './episodes.js';
+
+describe('catalogs', () => {
+  it('have the same keys as the English catalog', () => {
+    const english = Object.keys(CATALOGS.en).sort();
+    Object.entries(CATALOGS).forEach(([, messages]) => {
+      expect(Object.keys(messages).sort()).toEqual(english);
+    });
+  });
+});
+
+describe('translate', () => {
+  it('fills placeholders and leaves unknown ones', () => {
+    expect(translate('en', 'modal.position', { index: 2, total: 5 })).toBe('2 of 5');
+    expect(translate('en', 'run.heading')).toBe('The {director} run');
+  });
+
+  it('picks the plural form by count', () => {
+    expect(translate('en', 'export.count', { count: 1 })).toBe('1 episode');
+    expect(translate('en', 'export.count', { count: 0 })).toBe('0 episodes');
+    expect(translate('es', 'export.count', { count: 2 })).toBe('2 episodios');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('fr', 'stats.toggle')).toBe('Statistics');
+    expect(translate('en', 'no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('matchLocale', () => {
+  it('matches the language of a tag', () => {
+    expect(matchLocale(['es-MX', 'en-US'])).toBe('es');
+    expect(matchLocale(['fr-FR', 'en-GB'])).toBe('en');
+  });
+
+  it('falls back to English', () => {
+    expect(matchLocale(['fr'])).toBe('en');
+    expect(matchLocale()).toBe('en');
+  });
+});
+
+describe('formatDateOnly', () => {
+  const date = parseISODate('1999-05-19');
+
+  it('formats the calendar day whatever the time zone', () => {
+    expect(formatDateOnly(date, 'en', 'long')).toBe('May 19, 1999');
+    expect(formatDateOnly(date, 'en', 'numeric')).toBe('5/19/1999');
+    expect(formatDateOnly(date, 'es', 'long')).toBe('19 de mayo de 1999');
+  });
+
+  it('writes ISO dates the same in every locale', () => {
+    expect(formatDateOnly(date, 'es', 'iso')).toBe('1999-05-19');
+  });
+
+  it('uses the default format for an unknown one', () => {
+    expect(formatDateOnly(date, 'en', 'weird')).toBe(formatDateOnly(date, 'en'));
+  });
+});
+
+describe('formatYearsSinceRelease', () => {
+  it('uses months under a year and years with one decimal above', () => {
+    expect(formatYearsSinceRelease(1 / 12, 'en')).toBe('1 month');
+    expect(formatYearsSinceRelease(0.5, 'en')).toBe('6 months');
+    expect(formatYearsSinceRelease(15.94, 'en')).toBe('15.9 years');
+    expect(formatYearsSinceRelease(15.94, 'es')).toBe('15,9 años');
+  });
+
+  it('is empty when there is no release date', () => {
+    expect(formatYearsSinceRelease(null)).toBe('');
+  });
+});
@@ -0,0 +1,168 @@
+// Merge podcast feed items (from rss.js) into the raw episodes.json data.
+// Works on the JSON as stored, so hand-maintained fields (films, tags,
+// content, miniseries, extra links) are carried over untouched. Used by
+// scripts/import-rss.js.
+
+import { tokenize } from './search.js';
+import { isWellFormedUrl, parseISODate } from './episodes.js';
+
+// Text of the link added for each feed item
+export const LISTEN_LINK_TEXT = 'Listen';
+
+// Fields the feed provides; existing values win, differences are reported
+const FEED_FIELDS = ['title', 'episodeNumber', 'episodeDate', 'description'];
+
+// Shortest title (in characters) matched inside a longer feed title, so
+// short film titles like "Up" don't match every item that contains the word
+const MIN_CONTAINED_TITLE = 5;
+
+// Case-, accent- and punctuation-insensitive form of a title
+export const normalizeTitle = (title) => tokenize(title).join(' ');
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// Titles an episode can be recognised by: its own and its films'
+const episodeTitles = (episode) => [
+  episode.title,
+  ...(Array.isArray(episode.films) ? episode.films.map(film => film.title) : [])
+].filter(Boolean).map(normalizeTitle);
+
+// Existing episodes a feed item refers to. An episode number match is
+// decisive; otherwise an exact title match, and failing that any episode
+// whose title or film title appears in the item's title.
+export const findMatches = (item, episodes) => {
+  if (item.episodeNumber) {
+    const byNumber = episodes.filter(episode => episode.episodeNumber === item.episodeNumber);
+    if (byNumber.length > 0) {
+      return byNumber;
+    }
+  }
+  const title = normalizeTitle(item.title);
+  if (!title) {
+    return [];
+  }
+  const exact = episodes.filter(episode => episodeTitles(episode).includes(title));
+  if (exact.length > 0) {
+    return exact;
+  }
+  return episodes.filter(episode => episodeTitles(episode).some(candidate => (
+    candidate.length >= MIN_CONTAINED_TITLE && containsPhrase(title, candidate)
+  )));
+};
+
+// Next free numeric episode id
+const nextId = (episodes) => episodes.reduce(
+  (max, episode) => (typeof episode.id === 'number' ? Math.max(max, episode.id) : max),
+  0
+) + 1;
+
+// Merge feed items into the dataset. Returns the merged dataset (the input
+// is not modified) and a report:
+//   added     - items with no matching episode, added as new records (they
+//               have no films yet, so they show as bonus episodes until edited)
+//   updated   - episodes that gained fields or a Listen link
+//   unmatched - items with no matching episode that weren't added, including
+//               those that would make an invalid record (no title, no valid
+//               publish date or a link that isn't an http(s) URL)
+//   conflicts - feed values that differ from the stored ones (kept as stored),
+//               and items matching several episodes (skipped)
+// Stored descriptions are usually hand-written, so a different one in the
+// feed isn't reported.
+export const mergeFeedItems = (data, items, { addUnmatched = true } = {}) => {
+  const episodes = (data.episodes || []).map(episode => ({ ...episode }));
+  const report = { added: [], updated: [], unmatched: [], conflicts: [] };
+  const claimedBy = new Map();
+
+  items.forEach(item => {
+    const label = item.episodeNumber ? `${item.episodeNumber} "${item.title}"` : `"${item.title}"`;
+    const matches = findMatches(item, episodes);
+
+    if (matches.length > 1) {
+      report.conflicts.push({
+        item: label,
+        message: `matches ${matches.length} episodes (ids ${matches.map(episode => episode.id).join(', ')}); skipped`
+      });
+      return;
+    }
+
+    if (matches.length === 0) {
+      if (!parseISODate(item.episodeDate)) {
+        report.unmatched.push({ item: label, message: 'no matching episode and no publish date; skipped' });
+        return;
+      }
+      if (!addUnmatched) {
+        report.unmatched.push({ item: label, message: 'no matching episode' });
+        return;
+      }
+      if (!item.title || !item.title.trim()) {
+        report.unmatched.push({ item: label, message: 'no matching episode and no title; skipped' });
+        return;
+      }
+      if (item.link && !isWellFormedUrl(item.link)) {
+        report.unmatched.push({
+          item: label,
+          message: `no matching episode and link ${JSON.stringify(item.link)} isn't an http(s) URL; skipped`
+        });
+        return;
+      }
+      const record = {
+        id: nextId(episodes),
+        title: item.title,
+        episodeDate: item.episodeDate,
+        ...(item.episodeNumber && { episodeNumber: item.episodeNumber }),
+        films: [],
+        ...(item.description && { description: item.description }),
+        tags: [],
+        links: item.link ? [{ text: LISTEN_LINK_TEXT, url: item.link }] : []
+      };
+      episodes.push(record);
+      report.added.push({ item: label, id: record.id });
+      return;
+    }
+
+    const episode = matches[0];
+    if (claimedBy.has(episode.id)) {
+      report.conflicts.push({
+        item: label,
+        message: `matches episode ${episode.id}, already matched by ${claimedBy.get(episode.id)}; skipped`
+      });
+      return;
+    }
+    claimedBy.set(episode.id, label);
+
+    const changes = [];
+    FEED_FIELDS.forEach(field => {
+      const value = item[field];
+      if (!value) {
+        return;
+      }
+      const stored = episode[field];
+      if (stored === undefined || stored === null || stored === '') {
+        episode[field] = value;
+        changes.push(field);
+      } else if (field !== 'description' && stored !== value) {
+        report.conflicts.push({
+          item: label,
+          message: `episode ${episode.id} has ${field} ${JSON.stringify(stored)}, feed says ${JSON.stringify(value)}; kept ${JSON.stringify(stored)}`
+        });
+      }
+    });
+
+    const links = Array.isArray(episode.links) ? episode.links : [];
+    if (item.link && !isWellFormedUrl(item.link)) {
+      report.conflicts.push({
+        item: label,
+        message: `link ${JSON.stringify(item.link)} isn't an http(s) URL; not added to episode ${episode.id}`
+      });
+    } else if (item.link && !links.some(link => link && link.url === item.link)) {
+      episode.links = [...links, { text: LISTEN_LINK_TEXT, url: item.link }];
+      changes.push('links');
+    }
+
+    if (changes.length > 0) {
+      report.updated.push({ item: label, id: episode.id, fields: changes });
+    }
+  });
+
+  return { data: { ...data, episodes }, report };
+};
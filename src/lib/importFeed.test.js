@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { LISTEN_LINK_TEXT, normalizeTitle, findMatches, mergeFeedItems } from './importFeed.js';
+import { parseEpisodes } from './episodes.js';
+import { EPISODES_JSON } from '../test/fixtures.js';
+
+const feedItem = (fields) => ({
+  guid: 'guid',
+  title: 'Untitled',
+  episodeNumber: null,
+  episodeDate: '2016-03-01',
+  description: '',
+  link: null,
+  ...fields
+});
+
+const merge = (items, options) => mergeFeedItems(EPISODES_JSON, items, options);
+
+// Item for the stored Jaws episode (id 4), agreeing with its stored fields
+const jawsItem = (fields) => feedItem({ title: 'Jaws', episodeNumber: '#50', episodeDate: '2017-06-01', ...fields });
+
+describe('normalizeTitle', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(normalizeTitle('Amélie: The Film!')).toBe(normalizeTitle('amelie the film'));
+  });
+});
+
+describe('findMatches', () => {
+  const { episodes } = EPISODES_JSON;
+  const ids = (item) => findMatches(feedItem(item), episodes).map(episode => episode.id);
+
+  it('matches by episode number first', () => {
+    expect(ids({ episodeNumber: '#1', title: 'Jaws' })).toEqual([1]);
+  });
+
+  it('matches an exact episode or film title', () => {
+    expect(ids({ title: 'attack of the clones' })).toEqual([2]);
+  });
+
+  it('matches a title contained in the item title', () => {
+    expect(ids({ title: 'Lady in the Water with a special guest' })).toEqual([3]);
+  });
+
+  it('does not match short titles inside longer ones', () => {
+    expect(ids({ title: 'Jaws with a special guest' })).toEqual([]);
+  });
+
+  it('matches nothing for an empty title', () => {
+    expect(ids({ title: '' })).toEqual([]);
+  });
+});
+
+describe('mergeFeedItems', () => {
+  it('adds unmatched items as new episodes with a Listen link', () => {
+    const { data, report } = merge([
+      feedItem({ title: 'The Happening', episodeNumber: '#40', description: 'Trees.', link: 'https://example.com/happening' })
+    ]);
+    const added = data.episodes[data.episodes.length - 1];
+    expect(report.added).toEqual([{ item: '#40 "The Happening"', id: added.id }]);
+    expect(added).toMatchObject({
+      title: 'The Happening',
+      episodeNumber: '#40',
+      description: 'Trees.',
+      links: [{ text: LISTEN_LINK_TEXT, url: 'https://example.com/happening' }]
+    });
+    expect(parseEpisodes(data).errors).toEqual([]);
+  });
+
+  it('leaves out an empty description so the new record stays valid', () => {
+    const { data, report } = merge([feedItem({ title: 'The Happening' })]);
+    expect(report.added).toHaveLength(1);
+    expect(data.episodes[data.episodes.length - 1]).not.toHaveProperty('description');
+    expect(parseEpisodes(data).errors).toEqual([]);
+  });
+
+  it('reports untitled, undated or unlinkable items as unmatched and still adds the rest', () => {
+    const { data, report } = merge([
+      feedItem({ title: '', episodeNumber: '#41' }),
+      feedItem({ title: 'No Date', episodeDate: null }),
+      feedItem({ title: 'Bad Link', link: 'ftp://example.com/bad.mp3' }),
+      feedItem({ title: 'The Happening' })
+    ]);
+    expect(report.unmatched.map(entry => entry.item)).toEqual(['#41 ""', '"No Date"', '"Bad Link"']);
+    expect(report.added.map(entry => entry.item)).toEqual(['"The Happening"']);
+    expect(parseEpisodes(data).errors).toEqual([]);
+  });
+
+  it('only reports unmatched items with addUnmatched off', () => {
+    const { data, report } = merge([feedItem({ title: 'The Happening' })], { addUnmatched: false });
+    expect(report.unmatched).toEqual([{ item: '"The Happening"', message: 'no matching episode' }]);
+    expect(data.episodes).toHaveLength(EPISODES_JSON.episodes.length);
+  });
+
+  it('fills missing fields and adds the Listen link to a matched episode', () => {
+    const { data, report } = merge([jawsItem({ link: 'https://example.com/jaws' })]);
+    expect(report.updated).toEqual([{ item: '#50 "Jaws"', id: 4, fields: ['links'] }]);
+    expect(data.episodes.find(episode => episode.id === 4).links).toEqual([
+      { text: LISTEN_LINK_TEXT, url: 'https://example.com/jaws' }
+    ]);
+    expect(EPISODES_JSON.episodes.find(episode => episode.id === 4)).not.toHaveProperty('links');
+  });
+
+  it('keeps stored values that differ from the feed and reports them', () => {
+    const { data, report } = merge([feedItem({ title: 'The Phantom Menace', episodeDate: '2015-04-13' })]);
+    expect(data.episodes.find(episode => episode.id === 1).episodeDate).toBe('2015-04-12');
+    expect(report.conflicts).toHaveLength(1);
+    expect(report.conflicts[0].message).toMatch(/episodeDate/);
+  });
+
+  it('does not add a link that isn\'t an http(s) URL to a matched episode', () => {
+    const { data, report } = merge([jawsItem({ link: 'javascript:alert(1)' })]);
+    expect(report.conflicts).toHaveLength(1);
+    expect(report.conflicts[0].message).toMatch(/isn't an http\(s\) URL/);
+    expect(parseEpisodes(data).errors).toEqual([]);
+  });
+
+  it('skips an item matching an episode another item already matched', () => {
+    const { report } = merge([jawsItem({ episodeNumber: null }), jawsItem({ title: 'JAWS', episodeNumber: null })]);
+    expect(report.conflicts).toEqual([
+      { item: '"JAWS"', message: 'matches episode 4, already matched by "Jaws"; skipped' }
+    ]);
+  });
+});
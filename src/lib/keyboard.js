@@ -0,0 +1,33 @@
+// Keyboard helpers shared by the timeline and its dialogs.
+
+// Elements that can take focus with Tab, for focus trapping
+export const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Index to move to from `index` in a list of `count` items for a key press
+// (arrows step, Home/End jump), or null when the key isn't a navigation key
+export const getNavigationIndex = (key, index, count) => {
+  if (count === 0) {
+    return null;
+  }
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      return Math.min(index + 1, count - 1);
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      return Math.max(index - 1, 0);
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,55 @@
+// Lane assignment for timeline labels, so events released close together
+// stack into extra rows instead of overlapping.
+
+export const LANE_HEIGHT = 70;
+export const MAX_LABEL_WIDTH = 200;
+const MIN_LABEL_WIDTH = 48;
+
+// Connection view: vertical position of the film row (below the top axis)
+// and the episode row (above the bottom axis)
+export const FILM_ROW_TOP = 44;
+export const EPISODE_ROW_BOTTOM = 52;
+
+// Approximate rendered label width in pixels: the wider of the title
+// (text-sm) and director line (text-xs), capped at the label max-width.
+// Bonus episodes show `bonusLabel` (translated) in place of a director.
+export const estimateLabelWidth = (event, bonusLabel = 'Bonus episode') => {
+  const titleWidth = event.title.length * 7.5;
+  const directorWidth = (event.isBonus ? bonusLabel : event.director).length * 6.5;
+  return Math.min(Math.max(titleWidth, directorWidth, MIN_LABEL_WIDTH) + 12, MAX_LABEL_WIDTH);
+};
+
+// Greedily place labels into the first lane where they fit.
+// `items` are { id, x, width } in pixels with `x` the label center.
+// Returns { lanes: Map<id, laneIndex>, laneCount }.
+export const assignLanes = (items, gap = 8) => {
+  const laneEnds = [];
+  const lanes = new Map();
+
+  [...items]
+    .sort((a, b) => a.x - b.x)
+    .forEach(item => {
+      const start = item.x - item.width / 2;
+      const end = item.x + item.width / 2;
+      let lane = laneEnds.findIndex(laneEnd => laneEnd + gap <= start);
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(end);
+      } else {
+        laneEnds[lane] = end;
+      }
+      lanes.set(item.id, lane);
+    });
+
+  return { lanes, laneCount: Math.max(laneEnds.length, 1) };
+};
+
+// Lay out events on a timeline `width` pixels wide using a percentage scale
+// (`bonusLabel` as for estimateLabelWidth)
+export const layoutEvents = (events, scale, getDate, width, bonusLabel) => assignLanes(
+  events.map(event => ({
+    id: event.id,
+    x: (scale(getDate(event)) / 100) * width,
+    width: estimateLabelWidth(event, bonusLabel)
+  }))
+);
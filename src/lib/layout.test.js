@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { assignLanes, estimateLabelWidth } from './layout.js';
+
+describe('estimateLabelWidth', () => {
+  const bonus = { title: 'Mailbag', isBonus: true, director: '' };
+
+  it('measures the label shown for bonus episodes in the current language', () => {
+    expect(estimateLabelWidth(bonus, 'Episodio extra')).toBeGreaterThan(estimateLabelWidth(bonus, 'Extra'));
+  });
+
+  it('is at least the minimum and at most the label max-width', () => {
+    expect(estimateLabelWidth({ title: 'X', director: 'Y' })).toBe(60);
+    expect(estimateLabelWidth({ title: 'X'.repeat(100), director: 'Y' })).toBe(200);
+  });
+});
+
+describe('assignLanes', () => {
+  it('stacks overlapping labels and reuses lanes once they are clear', () => {
+    const { lanes, laneCount } = assignLanes([
+      { id: 'a', x: 50, width: 80 },
+      { id: 'b', x: 60, width: 80 },
+      { id: 'c', x: 300, width: 80 }
+    ]);
+    expect([lanes.get('a'), lanes.get('b'), lanes.get('c')]).toEqual([0, 1, 0]);
+    expect(laneCount).toBe(2);
+  });
+});
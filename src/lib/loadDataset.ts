@@ -0,0 +1,102 @@
+// Server-only loader for public/data/episodes.json and directors.json, used by static pages
+// and route handlers. The client fetches the same file over HTTP.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseEpisodes } from './episodes.js';
+import { parseDirectors, buildDirectorIndex } from './directors.js';
+
+export type Link = {
+  text: string;
+  url: string;
+};
+
+export type Film = {
+  title: string;
+  directors: string[];
+  date: Date;
+};
+
+export type Miniseries = {
+  id: string | number;
+  name: string;
+  directors: string[];
+  startEpisode: string | null;
+  endEpisode: string | null;
+  pun: string | null;
+};
+
+// Normalized episode as produced by toTimelineEvent in episodes.js
+export type TimelineEvent = {
+  id: string | number;
+  title: string;
+  episodeDate: Date;
+  episodeNumber: string | null;
+  miniseries: string | number | null;
+  films: Film[];
+  description: string;
+  content: string;
+  tags: string[];
+  links: Link[];
+  date: Date | null;
+  directors: string[];
+  director: string;
+  isBonus: boolean;
+  yearsSinceRelease: number | null;
+};
+
+export type DataError = {
+  collection: string | null;
+  index: number | null;
+  id: string | number | null;
+  title: string | null;
+  messages: string[];
+};
+
+export type Dataset = {
+  events: TimelineEvent[];
+  miniseries: Miniseries[];
+  errors: DataError[];
+};
+
+export type Director = {
+  name: string;
+  group: string;
+  color: string | null;
+  bio: string;
+  filmography: string[];
+};
+
+export type DirectorMetadata = {
+  groups: string[];
+  directors: Director[];
+  errors: DataError[];
+};
+
+export type DirectorIndex = {
+  groups: [string, string[]][];
+  colors: Record<string, string>;
+  byName: Map<string, Director>;
+};
+
+export const DATA_FILE = path.join(process.cwd(), 'public', 'data', 'episodes.json');
+export const DIRECTORS_FILE = path.join(process.cwd(), 'public', 'data', 'directors.json');
+
+// Read and validate the dataset; invalid records are dropped exactly as in the UI
+export const loadDataset = async (): Promise<Dataset> => {
+  const raw = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  return parseEpisodes(raw) as Dataset;
+};
+
+// Read and validate director metadata
+export const loadDirectors = async (): Promise<DirectorMetadata> => {
+  const raw = JSON.parse(await readFile(DIRECTORS_FILE, 'utf8'));
+  return parseDirectors(raw) as DirectorMetadata;
+};
+
+// Director index (groups, colors, metadata by name) for the directors in the dataset
+export const loadDirectorIndex = async (events: TimelineEvent[]): Promise<DirectorIndex> => {
+  const metadata = await loadDirectors();
+  const names = [...new Set(events.flatMap(event => event.directors))];
+  return buildDirectorIndex(metadata, names) as DirectorIndex;
+};
@@ -0,0 +1,223 @@
+// English UI strings: the reference catalog. Every key used by the app must
+// be here; other catalogs may leave keys out and fall back to these.
+
+export const messages = {
+  'app.title': 'Blank Check Podcast Timeline',
+  'app.loading': 'Loading timeline data...',
+  'app.loadError': "The episode data couldn't be loaded.",
+  'app.loadErrorOffline': "You're offline and this device has no saved copy of the data yet. Connect and try again.",
+  'app.reloadError': "The episode data couldn't be refreshed. Showing the last copy loaded.",
+  'app.retry': 'Retry',
+  'app.empty': 'There are no episodes yet.',
+  'app.emptyDetail': 'episodes.json has no valid episodes. Episodes appear here once they are added.',
+  'app.offline': "You're offline. Showing the copy of the timeline saved on this device.",
+  'data.invalidRecords': {
+    one: '{count} data record failed validation and was skipped',
+    other: '{count} data records failed validation and were skipped'
+  },
+
+  'settings.language': 'Language',
+  'settings.dateFormat': 'Dates',
+  'theme.label': 'Theme',
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.high-contrast': 'High contrast',
+
+  'event.bonus': 'Bonus episode',
+  'event.ariaLabelBonus': 'bonus episode',
+  'event.ariaFilmReleased': 'film released {date}',
+  'event.ariaEpisodeAired': 'episode aired {date}',
+  'duration.months': { one: '{count} month', other: '{count} months' },
+  'duration.years': '{count} years',
+
+  'search.placeholder': 'Search… try director:nolan tag:sci-fi',
+  'search.fields': 'Fields: director:name tag:genre year:1990..1999 ep:#25',
+  'search.noMatches': 'No matches',
+  'search.more': '{count} more on the timeline',
+
+  'zoom.group': 'Zoom',
+  'zoom.out': 'Zoom out',
+  'zoom.in': 'Zoom in',
+  'zoom.reset': 'Reset zoom',
+  'zoom.level': 'Zoom level {level} times',
+
+  'view.group': 'Place episodes by',
+  'view.film': 'Film Release Date',
+  'view.episode': 'Episode Release Date',
+  'view.connection': 'Film → Episode',
+  'view.connectionHelp': 'Top row: film release. Bottom row: the episode that covered it. Each line joins a film to its episode.',
+
+  'layout.group': 'Layout',
+  'layout.timeline': 'Timeline',
+  'layout.list': 'List',
+
+  'export.button': 'Export',
+  'export.count': { one: '{count} episode', other: '{count} episodes' },
+  'export.csv': 'CSV (spreadsheet)',
+  'export.json': 'JSON',
+  'export.ical': 'iCal (episode dates)',
+  'export.svg': 'SVG image',
+  'export.png': 'PNG image',
+  'export.failed': "Couldn't export {format}. Try again or choose another format.",
+
+  'editor.add': '+ Add episode',
+  'editor.edit': 'Edit',
+  'editor.addTitle': 'Add episode',
+  'editor.editTitle': 'Edit episode',
+  'editor.id': 'Id',
+  'editor.episodeNumber': 'Episode number',
+  'editor.aired': 'Aired',
+  'editor.title': 'Title',
+  'editor.miniseries': 'Miniseries',
+  'editor.noMiniseries': 'None',
+  'editor.films': 'Films',
+  'editor.filmTitle': 'Film title',
+  'editor.filmDirectors': 'Director(s), comma separated',
+  'editor.filmTitleLabel': 'Film {number} title',
+  'editor.filmDirectorsLabel': 'Film {number} directors',
+  'editor.filmDateLabel': 'Film {number} release date',
+  'editor.removeFilm': 'Remove film {number}',
+  'editor.addFilm': '+ Add film',
+  'editor.description': 'Description',
+  'editor.content': 'Content',
+  'editor.tags': 'Tags',
+  'editor.addTag': 'Add a tag',
+  'editor.removeTag': 'Remove tag {tag}',
+  'editor.links': 'Links',
+  'editor.linkText': 'Text',
+  'editor.linkTextLabel': 'Link {number} text',
+  'editor.linkUrlLabel': 'Link {number} URL',
+  'editor.removeLink': 'Remove link {number}',
+  'editor.addLink': '+ Add link',
+  'editor.cancel': 'Cancel',
+  'editor.review': 'Review changes',
+  'editor.previewing': 'Preparing preview…',
+  'editor.previewFailed': "Couldn't preview the change: {message}",
+  'editor.changes': 'Changes to episodes.json',
+  'editor.noChanges': 'No changes.',
+  'editor.back': 'Back to editing',
+  'editor.saving': 'Saving…',
+  'editor.save': 'Save to episodes.json',
+  'editor.errorId': 'Enter an id.',
+  'editor.errorTitle': 'Enter a title.',
+  'editor.errorAired': 'Enter the date the episode aired.',
+  'editor.errorFilmTitle': 'Film {number} needs a title.',
+  'editor.errorFilmDirectors': 'Film {number} needs at least one director.',
+  'editor.errorFilmDate': 'Film {number} needs a release date.',
+  'editor.errorLinkText': 'Link {number} needs text.',
+  'editor.errorLinkUrl': 'Link {number} needs an http(s) URL.',
+  'editor.errorInvalid': 'The episode record is invalid: {message}',
+  'editor.saveFailed': "Couldn't save to episodes.json: {message}",
+
+  'filters.drawer': 'Filters',
+  'filters.drawerActive': 'Filters ({count} active)',
+  'filters.filterBy': 'Filter By:',
+  'filters.filterByGroup': 'Filter by',
+  'filters.all': 'All Filters',
+  'filters.directors': 'Directors',
+  'filters.genres': 'Genres/Tags',
+  'filters.directorsHeading': 'Directors:',
+  'filters.groupHeading': '{group}:',
+  'filters.otherGroup': 'Other',
+  'filters.genresHeading': 'Genres/Tags:',
+  'filters.tagMatch': 'Tag matching',
+  'filters.tagMatchAny': 'Any',
+  'filters.tagMatchAll': 'All',
+  'filters.dates': 'Dates:',
+  'filters.filmReleased': 'Film released',
+  'filters.episodeAired': 'Episode aired',
+  'filters.rangeTo': 'to',
+  'filters.rangeFromLabel': '{label} from',
+  'filters.rangeToLabel': '{label} to',
+  'filters.unlistenedOnly': 'Unlistened only',
+  'filters.clear': 'Clear filters',
+  'filters.noResults': 'No episodes match your current filters. Try adjusting your search or tag selection.',
+
+  'chip.title': '{label}: {state} (click to cycle include / exclude / off)',
+  'chip.include': 'included',
+  'chip.exclude': 'excluded',
+  'chip.off': 'not filtered',
+
+  'presets.label': 'Saved filter presets',
+  'presets.apply': 'Apply a saved preset…',
+  'presets.none': 'No saved presets',
+  'presets.delete': 'Delete',
+  'presets.name': 'Preset name',
+  'presets.save': 'Save preset',
+
+  'progress.listenedCount': '{listened}/{total} listened',
+  'progress.backup': 'Back up progress',
+  'progress.restore': 'Restore…',
+  'progress.file': 'Progress backup file',
+  'progress.importInvalidJson': 'The file is not valid JSON.',
+  'progress.importNotBackup': 'The file is not a progress backup.',
+  'progress.importFailed': "The file couldn't be read.",
+  'progress.listened': 'Listened',
+  'progress.yourRating': 'Your rating:',
+  'progress.episodeRating': 'Episode rating',
+  'progress.notes': 'Private notes (saved on this device)',
+  'rating.stars': { one: '{count} star', other: '{count} stars' },
+
+  'axis.quarter': 'Q{quarter}',
+  'timeline.region': 'Timeline',
+  'timeline.keyboardHelp': 'Use the arrow keys to move between episodes in date order, Home and End to jump to the first or last, and Enter to open an episode.',
+  'timeline.overview': 'Timeline overview',
+  'timeline.viewDetails': 'View details',
+  'timeline.moreDetails': 'Click for more details',
+  'list.label': 'Episodes in chronological order',
+  'list.listened': '✓ Listened',
+  'list.filmReleased': 'Film released {date}',
+  'list.episodeAired': 'Episode aired {date}',
+
+  'summary.films': 'Films: {titles}',
+  'summary.film': 'Film: {date}',
+  'summary.episode': 'Episode: {date}',
+  'summary.covered': 'Covered {gap} after release',
+
+  'lag.title': 'Episode',
+  'lag.director': 'Director',
+  'lag.date': 'Film Release',
+  'lag.episodeDate': 'Episode Date',
+  'lag.yearsSinceRelease': 'Years Since Release',
+
+  'stats.toggle': 'Statistics',
+  'stats.noData': 'No data',
+  'stats.more': 'and {count} more',
+  'stats.episodes': 'Episodes',
+  'stats.films': 'Films covered',
+  'stats.directors': 'Directors',
+  'stats.bonus': 'Bonus episodes',
+  'stats.averageGap': 'Average gap (median)',
+  'stats.perYear': 'Episodes per year',
+  'stats.lags': 'Years between film release and episode',
+  'stats.perDirector': 'Episodes per director',
+  'stats.tags': 'Tag frequency',
+  'stats.topTagsByYear': 'Top tags by year',
+  'stats.yearColumn': { one: '{year}: {count} episode', other: '{year}: {count} episodes' },
+  'stats.yearTopTags': ' — top tags: {tags}',
+  'stats.lagColumn': { one: '{from} to {to} years: {count} episode', other: '{from} to {to} years: {count} episodes' },
+
+  'modal.previous': 'Previous',
+  'modal.previousTitle': 'Previous: {title} (←)',
+  'modal.next': 'Next',
+  'modal.nextTitle': 'Next: {title} (→)',
+  'modal.position': '{index} of {total}',
+  'modal.episodePage': 'Episode page',
+  'modal.miniseries': 'Miniseries: {name}',
+  'modal.close': 'Close episode details',
+  'modal.filmRelease': 'Film Release:',
+  'modal.podcastEpisode': 'Podcast Episode:',
+  'modal.filmsCovered': 'Films Covered:',
+  'modal.watched': 'Watched',
+  'modal.filmRating': 'Rating for {title}',
+  'modal.tags': 'Tags:',
+  'modal.links': 'Related Links:',
+
+  'page.backToTimeline': 'View on the timeline',
+  'page.episodes': 'Episodes:',
+
+  'run.label': "Episodes in {director}'s run",
+  'run.heading': 'The {director} run',
+  'run.count': { one: '({count} episode)', other: '({count} episodes)' }
+};
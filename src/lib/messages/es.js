@@ -0,0 +1,222 @@
+// Spanish UI strings (keys as in en.js)
+
+export const messages = {
+  'app.title': 'Cronología del podcast Blank Check',
+  'app.loading': 'Cargando la cronología...',
+  'app.loadError': 'No se pudieron cargar los datos de los episodios.',
+  'app.loadErrorOffline': 'Estás sin conexión y este dispositivo aún no tiene una copia guardada de los datos. Conéctate y vuelve a intentarlo.',
+  'app.reloadError': 'No se pudieron actualizar los datos de los episodios. Se muestra la última copia cargada.',
+  'app.retry': 'Reintentar',
+  'app.empty': 'Todavía no hay episodios.',
+  'app.emptyDetail': 'episodes.json no tiene episodios válidos. Aparecerán aquí cuando se añadan.',
+  'app.offline': 'Estás sin conexión. Se muestra la copia de la cronología guardada en este dispositivo.',
+  'data.invalidRecords': {
+    one: '{count} registro de datos no pasó la validación y se omitió',
+    other: '{count} registros de datos no pasaron la validación y se omitieron'
+  },
+
+  'settings.language': 'Idioma',
+  'settings.dateFormat': 'Fechas',
+  'theme.label': 'Tema',
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.high-contrast': 'Alto contraste',
+
+  'event.bonus': 'Episodio extra',
+  'event.ariaLabelBonus': 'episodio extra',
+  'event.ariaFilmReleased': 'película estrenada el {date}',
+  'event.ariaEpisodeAired': 'episodio emitido el {date}',
+  'duration.months': { one: '{count} mes', other: '{count} meses' },
+  'duration.years': '{count} años',
+
+  'search.placeholder': 'Buscar… prueba director:nolan tag:sci-fi',
+  'search.fields': 'Campos: director:nombre tag:género year:1990..1999 ep:#25',
+  'search.noMatches': 'Sin resultados',
+  'search.more': '{count} más en la cronología',
+
+  'zoom.group': 'Zoom',
+  'zoom.out': 'Alejar',
+  'zoom.in': 'Acercar',
+  'zoom.reset': 'Restablecer zoom',
+  'zoom.level': 'Zoom de {level} aumentos',
+
+  'view.group': 'Colocar episodios por',
+  'view.film': 'Estreno de la película',
+  'view.episode': 'Emisión del episodio',
+  'view.connection': 'Película → Episodio',
+  'view.connectionHelp': 'Fila superior: estreno de la película. Fila inferior: el episodio que la trató. Cada línea une una película con su episodio.',
+
+  'layout.group': 'Vista',
+  'layout.timeline': 'Cronología',
+  'layout.list': 'Lista',
+
+  'export.button': 'Exportar',
+  'export.count': { one: '{count} episodio', other: '{count} episodios' },
+  'export.csv': 'CSV (hoja de cálculo)',
+  'export.json': 'JSON',
+  'export.ical': 'iCal (fechas de los episodios)',
+  'export.svg': 'Imagen SVG',
+  'export.png': 'Imagen PNG',
+  'export.failed': 'No se pudo exportar {format}. Inténtalo de nuevo o elige otro formato.',
+
+  'editor.add': '+ Añadir episodio',
+  'editor.edit': 'Editar',
+  'editor.addTitle': 'Añadir episodio',
+  'editor.editTitle': 'Editar episodio',
+  'editor.id': 'Id',
+  'editor.episodeNumber': 'Número de episodio',
+  'editor.aired': 'Emitido',
+  'editor.title': 'Título',
+  'editor.miniseries': 'Miniserie',
+  'editor.noMiniseries': 'Ninguna',
+  'editor.films': 'Películas',
+  'editor.filmTitle': 'Título de la película',
+  'editor.filmDirectors': 'Director(es), separados por comas',
+  'editor.filmTitleLabel': 'Título de la película {number}',
+  'editor.filmDirectorsLabel': 'Directores de la película {number}',
+  'editor.filmDateLabel': 'Fecha de estreno de la película {number}',
+  'editor.removeFilm': 'Quitar la película {number}',
+  'editor.addFilm': '+ Añadir película',
+  'editor.description': 'Descripción',
+  'editor.content': 'Contenido',
+  'editor.tags': 'Etiquetas',
+  'editor.addTag': 'Añadir una etiqueta',
+  'editor.removeTag': 'Quitar la etiqueta {tag}',
+  'editor.links': 'Enlaces',
+  'editor.linkText': 'Texto',
+  'editor.linkTextLabel': 'Texto del enlace {number}',
+  'editor.linkUrlLabel': 'URL del enlace {number}',
+  'editor.removeLink': 'Quitar el enlace {number}',
+  'editor.addLink': '+ Añadir enlace',
+  'editor.cancel': 'Cancelar',
+  'editor.review': 'Revisar los cambios',
+  'editor.previewing': 'Preparando la vista previa…',
+  'editor.previewFailed': 'No se pudo preparar la vista previa: {message}',
+  'editor.changes': 'Cambios en episodes.json',
+  'editor.noChanges': 'Sin cambios.',
+  'editor.back': 'Volver a editar',
+  'editor.saving': 'Guardando…',
+  'editor.save': 'Guardar en episodes.json',
+  'editor.errorId': 'Escribe un id.',
+  'editor.errorTitle': 'Escribe un título.',
+  'editor.errorAired': 'Indica la fecha de emisión del episodio.',
+  'editor.errorFilmTitle': 'La película {number} necesita un título.',
+  'editor.errorFilmDirectors': 'La película {number} necesita al menos un director.',
+  'editor.errorFilmDate': 'La película {number} necesita una fecha de estreno.',
+  'editor.errorLinkText': 'El enlace {number} necesita un texto.',
+  'editor.errorLinkUrl': 'El enlace {number} necesita una URL http(s).',
+  'editor.errorInvalid': 'El registro del episodio no es válido: {message}',
+  'editor.saveFailed': 'No se pudo guardar en episodes.json: {message}',
+
+  'filters.drawer': 'Filtros',
+  'filters.drawerActive': 'Filtros ({count} activos)',
+  'filters.filterBy': 'Filtrar por:',
+  'filters.filterByGroup': 'Filtrar por',
+  'filters.all': 'Todos los filtros',
+  'filters.directors': 'Directores',
+  'filters.genres': 'Géneros/Etiquetas',
+  'filters.directorsHeading': 'Directores:',
+  'filters.groupHeading': '{group}:',
+  'filters.otherGroup': 'Otros',
+  'filters.genresHeading': 'Géneros/Etiquetas:',
+  'filters.tagMatch': 'Coincidencia de etiquetas',
+  'filters.tagMatchAny': 'Alguna',
+  'filters.tagMatchAll': 'Todas',
+  'filters.dates': 'Fechas:',
+  'filters.filmReleased': 'Estreno de la película',
+  'filters.episodeAired': 'Emisión del episodio',
+  'filters.rangeTo': 'a',
+  'filters.rangeFromLabel': '{label} desde',
+  'filters.rangeToLabel': '{label} hasta',
+  'filters.unlistenedOnly': 'Solo sin escuchar',
+  'filters.clear': 'Quitar filtros',
+  'filters.noResults': 'Ningún episodio coincide con los filtros actuales. Prueba a cambiar la búsqueda o las etiquetas.',
+
+  'chip.title': '{label}: {state} (haz clic para alternar incluir / excluir / nada)',
+  'chip.include': 'incluido',
+  'chip.exclude': 'excluido',
+  'chip.off': 'sin filtrar',
+
+  'presets.label': 'Filtros guardados',
+  'presets.apply': 'Aplicar filtros guardados…',
+  'presets.none': 'No hay filtros guardados',
+  'presets.delete': 'Eliminar',
+  'presets.name': 'Nombre',
+  'presets.save': 'Guardar filtros',
+
+  'progress.listenedCount': '{listened}/{total} escuchados',
+  'progress.backup': 'Copia de seguridad',
+  'progress.restore': 'Restaurar…',
+  'progress.file': 'Archivo de copia de seguridad',
+  'progress.importInvalidJson': 'El archivo no es JSON válido.',
+  'progress.importNotBackup': 'El archivo no es una copia de seguridad del progreso.',
+  'progress.importFailed': 'No se pudo leer el archivo.',
+  'progress.listened': 'Escuchado',
+  'progress.yourRating': 'Tu valoración:',
+  'progress.episodeRating': 'Valoración del episodio',
+  'progress.notes': 'Notas privadas (guardadas en este dispositivo)',
+  'rating.stars': { one: '{count} estrella', other: '{count} estrellas' },
+
+  'axis.quarter': 'T{quarter}',
+  'timeline.region': 'Cronología',
+  'timeline.keyboardHelp': 'Usa las flechas para moverte entre episodios por fecha, Inicio y Fin para ir al primero o al último, e Intro para abrir un episodio.',
+  'timeline.overview': 'Vista general de la cronología',
+  'timeline.viewDetails': 'Ver detalles',
+  'timeline.moreDetails': 'Haz clic para ver más detalles',
+  'list.label': 'Episodios en orden cronológico',
+  'list.listened': '✓ Escuchado',
+  'list.filmReleased': 'Película estrenada el {date}',
+  'list.episodeAired': 'Episodio emitido el {date}',
+
+  'summary.films': 'Películas: {titles}',
+  'summary.film': 'Película: {date}',
+  'summary.episode': 'Episodio: {date}',
+  'summary.covered': 'Tratada {gap} después del estreno',
+
+  'lag.title': 'Episodio',
+  'lag.director': 'Director',
+  'lag.date': 'Estreno',
+  'lag.episodeDate': 'Fecha del episodio',
+  'lag.yearsSinceRelease': 'Años desde el estreno',
+
+  'stats.toggle': 'Estadísticas',
+  'stats.noData': 'Sin datos',
+  'stats.more': 'y {count} más',
+  'stats.episodes': 'Episodios',
+  'stats.films': 'Películas tratadas',
+  'stats.directors': 'Directores',
+  'stats.bonus': 'Episodios extra',
+  'stats.averageGap': 'Intervalo medio (mediana)',
+  'stats.perYear': 'Episodios por año',
+  'stats.lags': 'Años entre el estreno y el episodio',
+  'stats.perDirector': 'Episodios por director',
+  'stats.tags': 'Frecuencia de etiquetas',
+  'stats.topTagsByYear': 'Etiquetas principales por año',
+  'stats.yearColumn': { one: '{year}: {count} episodio', other: '{year}: {count} episodios' },
+  'stats.yearTopTags': ' — etiquetas principales: {tags}',
+  'stats.lagColumn': { one: 'De {from} a {to} años: {count} episodio', other: 'De {from} a {to} años: {count} episodios' },
+
+  'modal.previous': 'Anterior',
+  'modal.previousTitle': 'Anterior: {title} (←)',
+  'modal.next': 'Siguiente',
+  'modal.nextTitle': 'Siguiente: {title} (→)',
+  'modal.position': '{index} de {total}',
+  'modal.episodePage': 'Página del episodio',
+  'modal.miniseries': 'Miniserie: {name}',
+  'modal.close': 'Cerrar los detalles del episodio',
+  'modal.filmRelease': 'Estreno de la película:',
+  'modal.podcastEpisode': 'Episodio del podcast:',
+  'modal.filmsCovered': 'Películas tratadas:',
+  'modal.watched': 'Vista',
+  'modal.filmRating': 'Valoración de {title}',
+  'modal.tags': 'Etiquetas:',
+  'modal.links': 'Enlaces relacionados:',
+
+  'page.backToTimeline': 'Ver en la cronología',
+  'page.episodes': 'Episodios:',
+
+  'run.label': 'Episodios de la etapa de {director}',
+  'run.heading': 'La etapa de {director}',
+  'run.count': { one: '({count} episodio)', other: '({count} episodios)' }
+};
@@ -0,0 +1,36 @@
+// Named filter presets, saved in localStorage on this device.
+
+import { normalizeFilters } from './filters.js';
+
+const STORAGE_KEY = 'blank-check-timeline:filter-presets';
+
+// Saved presets as [{ name, filters }], sorted by name
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return (Array.isArray(stored) ? stored : [])
+      .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() !== '')
+      .map(preset => ({ name: preset.name, filters: normalizeFilters(preset.filters) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch {
+    return [];
+  }
+};
+
+const storePresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error('Error saving filter presets:', error);
+  }
+  return loadPresets();
+};
+
+// Save (or overwrite) a preset; returns the updated list
+export const savePreset = (name, filters) => storePresets([
+  ...loadPresets().filter(preset => preset.name !== name.trim()),
+  { name: name.trim(), filters }
+]);
+
+// Delete a preset by name; returns the updated list
+export const deletePreset = (name) => storePresets(loadPresets().filter(preset => preset.name !== name));
@@ -0,0 +1,130 @@
+// Personal listening progress, saved in localStorage on this device: which
+// episodes have been listened to and films watched, star ratings and notes.
+//
+//   { episodes: { [episodeId]: { listened, rating, notes } },
+//     films: { [filmKey]: { watched, rating } } }
+//
+// Ratings are 1-5 or null. Entries are dropped once they're back to the
+// defaults, so the stored object only holds what was actually set.
+
+import { toISODate } from './episodes.js';
+
+const STORAGE_KEY = 'blank-check-timeline:progress';
+
+export const MAX_RATING = 5;
+
+export const EMPTY_PROGRESS = { episodes: {}, films: {} };
+
+const EPISODE_DEFAULTS = { listened: false, rating: null, notes: '' };
+const FILM_DEFAULTS = { watched: false, rating: null };
+
+// Films are keyed by title and release date, since they have no id
+export const filmKey = (film) => `${film.title}|${toISODate(film.date)}`;
+
+const normalizeRating = (value) => (
+  Number.isInteger(value) && value >= 1 && value <= MAX_RATING ? value : null
+);
+
+const normalizeEntries = (entries, defaults) => {
+  const normalized = {};
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    return normalized;
+  }
+  Object.entries(entries).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+    const entry = {};
+    Object.entries(defaults).forEach(([field, fallback]) => {
+      const raw = value[field];
+      if (field === 'rating') {
+        entry.rating = normalizeRating(raw);
+      } else {
+        entry[field] = typeof raw === typeof fallback ? raw : fallback;
+      }
+    });
+    if (Object.keys(defaults).some(field => entry[field] !== defaults[field])) {
+      normalized[key] = entry;
+    }
+  });
+  return normalized;
+};
+
+// Coerce stored or imported data into a valid progress object
+export const normalizeProgress = (value) => ({
+  episodes: normalizeEntries(value?.episodes, EPISODE_DEFAULTS),
+  films: normalizeEntries(value?.films, FILM_DEFAULTS)
+});
+
+export const loadProgress = () => {
+  try {
+    return normalizeProgress(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null'));
+  } catch {
+    return EMPTY_PROGRESS;
+  }
+};
+
+export const saveProgress = (progress) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch (error) {
+    console.error('Error saving progress:', error);
+  }
+};
+
+export const getEpisodeProgress = (progress, id) => ({ ...EPISODE_DEFAULTS, ...progress.episodes[String(id)] });
+
+export const getFilmProgress = (progress, film) => ({ ...FILM_DEFAULTS, ...progress.films[filmKey(film)] });
+
+export const isListened = (progress, event) => getEpisodeProgress(progress, event.id).listened;
+
+// Apply changes to one episode's ({ listened, rating, notes }) entry
+export const updateEpisodeProgress = (progress, id, changes) => normalizeProgress({
+  ...progress,
+  episodes: { ...progress.episodes, [String(id)]: { ...getEpisodeProgress(progress, id), ...changes } }
+});
+
+// Apply changes to one film's ({ watched, rating }) entry
+export const updateFilmProgress = (progress, film, changes) => normalizeProgress({
+  ...progress,
+  films: { ...progress.films, [filmKey(film)]: { ...getFilmProgress(progress, film), ...changes } }
+});
+
+// Listened count out of every episode covering one of each director's
+// films, as a Map of name -> { listened, total }, computed in one pass
+export const getProgressByDirector = (progress, events) => {
+  const counts = new Map();
+  events.forEach(event => {
+    const listened = isListened(progress, event);
+    event.directors.forEach(director => {
+      const count = counts.get(director) || { listened: 0, total: 0 };
+      count.total += 1;
+      if (listened) {
+        count.listened += 1;
+      }
+      counts.set(director, count);
+    });
+  });
+  return counts;
+};
+
+// Backup file contents
+export const exportProgress = (progress) => `${JSON.stringify(progress, null, 2)}\n`;
+
+// Error with a `code` for the UI to look up a translated message
+const importError = (code, message) => Object.assign(new Error(message), { code });
+
+// Parse a backup file; throws an Error describing what's wrong with it, with
+// `code` 'invalid-json' or 'not-a-backup'
+export const importProgress = (text) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    throw importError('invalid-json', 'The file is not valid JSON.');
+  }
+  if (!value || typeof value !== 'object' || (!('episodes' in value) && !('films' in value))) {
+    throw importError('not-a-backup', 'The file is not a progress backup (expected "episodes" and "films").');
+  }
+  return normalizeProgress(value);
+};
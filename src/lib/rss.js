@@ -0,0 +1,130 @@
+// Minimal reader for podcast feeds (RSS 2.0 with iTunes tags, or Atom).
+// Only pulls out what the episode import needs, so it uses regular
+// expressions over the XML rather than a full parser; used by
+// scripts/import-rss.js.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Decode character references and named entities
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Text content of an element: CDATA is taken as-is, everything else decoded
+const textContent = (raw) => raw
+  .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+  .map(part => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeEntities(part)))
+  .join('')
+  .trim();
+
+// Plain text from an HTML fragment such as show notes
+export const stripHtml = (html) => decodeEntities(
+  html
+    .replace(/<(br|\/p|\/div|\/li)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .replace(/\n{2,}/g, '\n')
+  .trim();
+
+const parseAttributes = (raw) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(raw)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+};
+
+// Every `name` element inside `xml`, as { attributes, raw, text } where `raw`
+// is the inner XML and `text` its decoded text
+const findElements = (xml, name) => {
+  const tag = escapeRegExp(name);
+  const pattern = new RegExp(`<${tag}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const raw = match[2] || '';
+    elements.push({ attributes: parseAttributes(match[1] || ''), raw, text: textContent(raw) });
+  }
+  return elements;
+};
+
+// Text of the first of `names` present in `xml` (null when none is)
+const firstText = (xml, names) => {
+  for (const name of names) {
+    const [element] = findElements(xml, name);
+    if (element && element.text) {
+      return element.text;
+    }
+  }
+  return null;
+};
+
+// Calendar date (YYYY-MM-DD) as written in an RFC 822 (RSS) or ISO 8601
+// (Atom) timestamp. The publisher's own day is kept rather than shifting it
+// to UTC, so an evening release doesn't land on the next day.
+export const parseFeedDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const iso = /^(\d{4}-\d{2}-\d{2})/.exec(value.trim());
+  if (iso) {
+    return iso[1];
+  }
+  const rfc = /(\d{1,2})\s+([a-z]{3})[a-z]*\s+(\d{4})/i.exec(value);
+  if (rfc) {
+    const month = MONTHS.indexOf(rfc[2].toLowerCase());
+    if (month !== -1) {
+      return `${rfc[3]}-${String(month + 1).padStart(2, '0')}-${rfc[1].padStart(2, '0')}`;
+    }
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+// Episode number from an <itunes:episode> value or a title such as
+// "#25: Lady in the Water" or "Episode 25 - Lady in the Water"
+export const parseEpisodeNumber = (episode, title) => {
+  if (episode && /^\d+$/.test(episode)) {
+    return `#${Number(episode)}`;
+  }
+  const match = /^\s*(?:#|ep(?:isode)?\.?\s*)(\d+)\b/i.exec(title || '');
+  return match ? `#${Number(match[1])}` : null;
+};
+
+// Title without a leading episode number prefix
+export const cleanTitle = (title) => title.replace(/^\s*(?:#|ep(?:isode)?\.?\s*)\d+\s*[:.\-–—|]?\s*/i, '').trim();
+
+// Items of an RSS or Atom feed as
+// [{ guid, title, episodeNumber, episodeDate, description, link }]
+export const parseFeed = (xml) => {
+  const isAtom = !/<item[\s>]/.test(xml) && /<entry[\s>]/.test(xml);
+  return findElements(xml, isAtom ? 'entry' : 'item').map(({ raw: block }) => {
+    const rawTitle = firstText(block, ['title']) || '';
+    const links = findElements(block, 'link');
+    const enclosure = findElements(block, 'enclosure')[0];
+    const link = isAtom
+      ? (links.find(l => !l.attributes.rel || l.attributes.rel === 'alternate') || links[0])?.attributes.href
+      : links.find(l => l.text)?.text || enclosure?.attributes.url;
+
+    return {
+      guid: firstText(block, isAtom ? ['id'] : ['guid']) || link || rawTitle,
+      title: cleanTitle(rawTitle),
+      episodeNumber: parseEpisodeNumber(firstText(block, ['itunes:episode']), rawTitle),
+      episodeDate: parseFeedDate(firstText(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date'])),
+      description: stripHtml(firstText(block, ['itunes:summary', 'description', 'summary', 'content:encoded', 'content']) || ''),
+      link: link || null
+    };
+  });
+};
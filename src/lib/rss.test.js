@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import {
+  decodeEntities, stripHtml, parseFeedDate, parseEpisodeNumber, cleanTitle, parseFeed
+} from './rss.js';
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Blank Check</title>
+    <item>
+      <title>#25: Lady in the Water</title>
+      <itunes:episode>25</itunes:episode>
+      <pubDate>Sun, 14 Jun 2015 22:30:00 -0700</pubDate>
+      <guid>lady-in-the-water</guid>
+      <description><![CDATA[<p>A bedtime story.</p><p>With <b>Paul Giamatti</b>.</p>]]></description>
+      <enclosure url="https://example.com/lady.mp3" type="audio/mpeg" />
+    </item>
+    <item>
+      <title>Listener Mailbag &amp; More</title>
+      <pubDate>Mon, 1 Feb 2016 08:00:00 GMT</pubDate>
+      <link>https://example.com/mailbag</link>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Blank Check</title>
+  <entry>
+    <id>tag:example.com,2015:jaws</id>
+    <title>Episode 30 - Jaws</title>
+    <published>2015-08-02T09:00:00-07:00</published>
+    <link rel="enclosure" href="https://example.com/jaws.mp3" />
+    <link rel="alternate" href="https://example.com/jaws" />
+    <summary>Bigger boat.</summary>
+  </entry>
+</feed>`;
+
+describe('decodeEntities', () => {
+  it('decodes named entities and character references', () => {
+    expect(decodeEntities('Tom &amp; Jerry &#8211; &#x2019;s &quot;hi&quot;')).toBe('Tom & Jerry – ’s "hi"');
+  });
+
+  it('leaves unknown entities alone', () => {
+    expect(decodeEntities('&bogus;')).toBe('&bogus;');
+  });
+});
+
+describe('stripHtml', () => {
+  it('turns block ends and line breaks into single newlines', () => {
+    expect(stripHtml('<p>One  <i>two</i></p>\n\n<p>Three<br/>four &amp; five</p>')).toBe('One two\nThree\nfour & five');
+  });
+});
+
+describe('parseFeedDate', () => {
+  it('keeps the publisher\'s calendar day from RFC 822 and ISO timestamps', () => {
+    expect(parseFeedDate('Sun, 14 Jun 2015 22:30:00 -0700')).toBe('2015-06-14');
+    expect(parseFeedDate('2015-08-02T23:00:00-07:00')).toBe('2015-08-02');
+  });
+
+  it('returns null for missing or unreadable dates', () => {
+    expect(parseFeedDate(null)).toBeNull();
+    expect(parseFeedDate('someday')).toBeNull();
+  });
+});
+
+describe('parseEpisodeNumber', () => {
+  it('prefers the itunes:episode value', () => {
+    expect(parseEpisodeNumber('007', '#12: Something')).toBe('#7');
+  });
+
+  it('reads a number prefix from the title', () => {
+    expect(parseEpisodeNumber(null, '#25: Lady in the Water')).toBe('#25');
+    expect(parseEpisodeNumber(null, 'Ep. 3 - Signs')).toBe('#3');
+    expect(parseEpisodeNumber(null, 'Episode 30 | Jaws')).toBe('#30');
+  });
+
+  it('returns null when there is no number', () => {
+    expect(parseEpisodeNumber(null, 'Listener Mailbag')).toBeNull();
+    expect(parseEpisodeNumber(null, '1941')).toBeNull();
+  });
+});
+
+describe('cleanTitle', () => {
+  it('drops a leading episode number', () => {
+    expect(cleanTitle('#25: Lady in the Water')).toBe('Lady in the Water');
+    expect(cleanTitle('Episode 30 - Jaws')).toBe('Jaws');
+    expect(cleanTitle('1941')).toBe('1941');
+  });
+});
+
+describe('parseFeed', () => {
+  it('reads RSS items', () => {
+    expect(parseFeed(RSS)).toEqual([
+      {
+        guid: 'lady-in-the-water',
+        title: 'Lady in the Water',
+        episodeNumber: '#25',
+        episodeDate: '2015-06-14',
+        description: 'A bedtime story.\nWith Paul Giamatti.',
+        link: 'https://example.com/lady.mp3'
+      },
+      {
+        guid: 'https://example.com/mailbag',
+        title: 'Listener Mailbag & More',
+        episodeNumber: null,
+        episodeDate: '2016-02-01',
+        description: '',
+        link: 'https://example.com/mailbag'
+      }
+    ]);
+  });
+
+  it('reads Atom entries, linking to the alternate page', () => {
+    expect(parseFeed(ATOM)).toEqual([
+      {
+        guid: 'tag:example.com,2015:jaws',
+        title: 'Jaws',
+        episodeNumber: '#30',
+        episodeDate: '2015-08-02',
+        description: 'Bigger boat.',
+        link: 'https://example.com/jaws'
+      }
+    ]);
+  });
+
+  it('returns no items for a feed without any', () => {
+    expect(parseFeed('<rss><channel><title>Empty</title></channel></rss>')).toEqual([]);
+  });
+});
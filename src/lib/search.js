@@ -0,0 +1,198 @@
+// Client-side search over timeline events: a token index built once when the
+// data loads, fuzzy ranked matching, and fielded queries such as
+//
+//   director:nolan tag:sci-fi year:1990..1999 ep:#25 "free text"
+//
+// Free-text terms must all match somewhere (title, films, director, tags,
+// description or content); field filters narrow the results further.
+
+// Field weights for ranking: a hit in the title beats one in the show notes
+const FIELD_WEIGHTS = {
+  title: 5,
+  films: 4,
+  director: 3,
+  tags: 3,
+  description: 2,
+  content: 1
+};
+
+// Score multipliers by match quality
+const EXACT = 1;
+const PREFIX = 0.7;
+const FUZZY = 0.4;
+
+// Lowercase, strip accents and split into alphanumeric tokens
+export const tokenize = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Levenshtein distance, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated for a query term of this length
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well a query term matches an indexed token (0 when it doesn't)
+export const matchToken = (term, token) => {
+  if (token === term) return EXACT;
+  if (token.startsWith(term)) return PREFIX;
+  const typos = allowedTypos(term);
+  if (typos > 0 && editDistance(term, token, typos) <= typos) return FUZZY;
+  return 0;
+};
+
+// Parse "N", "N..M", "..M" or "N.." into an inclusive { from, to } range
+const parseRange = (value) => {
+  const match = /^(\d*)(?:\.\.(\d*))?$/.exec(value.replace(/^#/, ''));
+  if (!match || (match[1] === '' && !match[2])) {
+    return null;
+  }
+  const from = match[1] === '' ? -Infinity : Number(match[1]);
+  const to = match[2] === undefined ? from : match[2] === '' ? Infinity : Number(match[2]);
+  return { from, to };
+};
+
+// Split a query string into free-text terms and field filters. Quoted
+// values keep their spaces: director:"george lucas".
+export const parseQuery = (input) => {
+  const query = { terms: [], director: [], tag: [], year: null, ep: null };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(input || '')) !== null) {
+    const field = match[1]?.toLowerCase();
+    const value = (match[2] ?? match[3] ?? '').trim();
+    if (!value) {
+      continue;
+    }
+
+    if (field === 'director' || field === 'tag') {
+      query[field].push(value.toLowerCase());
+    } else if (field === 'year' || field === 'ep') {
+      query[field] = parseRange(value);
+    } else {
+      // Unknown fields are treated as plain text
+      query.terms.push(...tokenize(field ? `${field} ${value}` : value));
+    }
+  }
+
+  return query;
+};
+
+// True when a parsed query has nothing to search for
+export const isEmptyQuery = (query) => (
+  query.terms.length === 0 && query.director.length === 0 && query.tag.length === 0 &&
+  query.year === null && query.ep === null
+);
+
+// Build the token index for a list of events
+export const buildSearchIndex = (events) => events.map(event => ({
+  event,
+  episode: event.episodeNumber ? Number(event.episodeNumber.replace(/\D/g, '')) : null,
+  fields: {
+    title: tokenize(event.title),
+    films: tokenize(event.films.map(film => film.title).join(' ')),
+    director: tokenize(event.director),
+    tags: tokenize(event.tags.join(' ')),
+    description: tokenize(event.description),
+    content: tokenize(event.content)
+  }
+}));
+
+// Best score for one term across an entry's fields, and the tokens it hit
+const scoreTerm = (entry, term) => {
+  let best = 0;
+  const hits = [];
+  Object.entries(entry.fields).forEach(([field, tokens]) => {
+    tokens.forEach(token => {
+      const quality = matchToken(term, token);
+      if (quality > 0) {
+        hits.push(token);
+        best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+      }
+    });
+  });
+  return { score: best, hits };
+};
+
+// Whether every word of a field filter value matches one of `tokens`
+const matchesAllWords = (value, tokens) => tokenize(value).every(word =>
+  tokens.some(token => matchToken(word, token) > 0)
+);
+
+const inRange = (value, range) => value !== null && value >= range.from && value <= range.to;
+
+// Run a parsed query against the index. Returns matching entries as
+// [{ event, score, tokens }] ordered by relevance, where `tokens` is the
+// set of indexed tokens that matched (for highlighting).
+export const searchEvents = (index, query) => {
+  if (isEmptyQuery(query)) {
+    return index.map(entry => ({ event: entry.event, score: 0, tokens: new Set() }));
+  }
+
+  const results = [];
+  index.forEach(entry => {
+    const { event } = entry;
+    if (query.director.some(value => !matchesAllWords(value, entry.fields.director))) return;
+    if (query.tag.some(value => !event.tags.some(tag => tag.toLowerCase().includes(value)) &&
+      !matchesAllWords(value, entry.fields.tags))) return;
+    if (query.year && !inRange(event.date ? event.date.getUTCFullYear() : null, query.year)) return;
+    if (query.ep && !inRange(entry.episode, query.ep)) return;
+
+    let score = 0;
+    const tokens = new Set();
+    for (const term of query.terms) {
+      const result = scoreTerm(entry, term);
+      if (result.score === 0) {
+        return;
+      }
+      score += result.score;
+      result.hits.forEach(token => tokens.add(token));
+    }
+    query.director.forEach(value => tokenize(value).forEach(word =>
+      entry.fields.director.filter(token => matchToken(word, token) > 0).forEach(token => tokens.add(token))
+    ));
+
+    results.push({ event, score, tokens });
+  });
+
+  // Most relevant first; ties in original (release date) order
+  return results.sort((a, b) => b.score - a.score);
+};
+
+// Split text into [{ text, match }] segments, marking words whose token is
+// in `tokens`, for rendering highlights
+export const splitHighlights = (text, tokens) => {
+  if (!text || !tokens || tokens.size === 0) {
+    return [{ text: text || '', match: false }];
+  }
+  return text
+    .split(/([\p{L}\p{N}]+)/u)
+    .filter(part => part !== '')
+    .map(part => ({ text: part, match: tokens.has(tokenize(part)[0]) }));
+};
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import {
+  tokenize, matchToken, parseQuery, isEmptyQuery, buildSearchIndex, searchEvents, splitHighlights
+} from './search.js';
+import { parseEpisodes } from './episodes.js';
+import { loadFixture } from '../test/fixtures.js';
+
+const { events } = loadFixture();
+const index = buildSearchIndex(events);
+const search = (text) => searchEvents(index, parseQuery(text)).map(result => result.event.id);
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and splits on punctuation', () => {
+    expect(tokenize('Amélie — Le Fabuleux Destin!')).toEqual(['amelie', 'le', 'fabuleux', 'destin']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('matchToken', () => {
+  it('ranks exact over prefix over fuzzy matches', () => {
+    expect(matchToken('jaws', 'jaws')).toBeGreaterThan(matchToken('jaw', 'jaws'));
+    expect(matchToken('jaw', 'jaws')).toBeGreaterThan(matchToken('phantm', 'phantom'));
+    expect(matchToken('phantm', 'phantom')).toBeGreaterThan(0);
+  });
+
+  it('allows no typos in short terms', () => {
+    expect(matchToken('jaw', 'law')).toBe(0);
+    expect(matchToken('menase', 'menace')).toBeGreaterThan(0);
+    expect(matchToken('mennase', 'menace')).toBe(0);
+  });
+});
+
+describe('parseQuery', () => {
+  it('splits free text into terms', () => {
+    expect(parseQuery('Lady in the Water')).toEqual({
+      terms: ['lady', 'in', 'the', 'water'], director: [], tag: [], year: null, ep: null
+    });
+  });
+
+  it('reads fields, keeping quoted values together', () => {
+    expect(parseQuery('director:"George Lucas" tag:sci-fi clones')).toEqual({
+      terms: ['clones'], director: ['george lucas'], tag: ['sci-fi'], year: null, ep: null
+    });
+  });
+
+  it('reads year and episode ranges', () => {
+    expect(parseQuery('year:1999').year).toEqual({ from: 1999, to: 1999 });
+    expect(parseQuery('year:1990..1999').year).toEqual({ from: 1990, to: 1999 });
+    expect(parseQuery('ep:#20..').ep).toEqual({ from: 20, to: Infinity });
+    expect(parseQuery('ep:..5').ep).toEqual({ from: -Infinity, to: 5 });
+    expect(parseQuery('year:soon').year).toBeNull();
+  });
+
+  it('treats unknown fields as text', () => {
+    expect(parseQuery('studio:lucasfilm').terms).toEqual(['studio', 'lucasfilm']);
+  });
+
+  it('is empty for blank input', () => {
+    expect(isEmptyQuery(parseQuery('  '))).toBe(true);
+    expect(isEmptyQuery(parseQuery(undefined))).toBe(true);
+    expect(isEmptyQuery(parseQuery('ep:1'))).toBe(false);
+  });
+});
+
+describe('searchEvents', () => {
+  it('returns every event in order for an empty query', () => {
+    expect(search('')).toEqual(events.map(event => event.id));
+  });
+
+  it('requires every term to match', () => {
+    expect(search('phantom menace')).toEqual([1]);
+    expect(search('phantom jaws')).toEqual([]);
+  });
+
+  it('tolerates typos and matches prefixes', () => {
+    expect(search('phantm')).toEqual([1]);
+    expect(search('mail')).toEqual(['mailbag']);
+  });
+
+  it('ranks title hits above show note hits', () => {
+    expect(search('clones')[0]).toBe(2);
+  });
+
+  it('searches the show notes', () => {
+    expect(search('pod racing')).toEqual([1]);
+  });
+
+  it('filters by director, tag, year and episode', () => {
+    expect(search('director:lucas')).toEqual([1, 2]);
+    expect(search('director:"steven spielberg"')).toEqual([4]);
+    expect(search('tag:romance')).toEqual([2]);
+    expect(search('year:1999..2002')).toEqual([1, 2]);
+    expect(search('ep:20..50')).toEqual([3, 4]);
+    expect(search('director:lucas clones')).toEqual([2]);
+  });
+
+  it('searches records stored without optional fields such as content', () => {
+    const { events: bare } = parseEpisodes({ episodes: [{ id: 1, title: 'Signs', episodeDate: '2016-02-07' }] });
+    expect(searchEvents(buildSearchIndex(bare), parseQuery('signs tag:horror'))).toEqual([]);
+    expect(searchEvents(buildSearchIndex(bare), parseQuery('signs')).map(result => result.event.id)).toEqual([1]);
+  });
+
+  it('collects the matched tokens for highlighting', () => {
+    const [result] = searchEvents(index, parseQuery('phantom director:lucas'));
+    expect([...result.tokens].sort()).toEqual(['lucas', 'phantom']);
+  });
+});
+
+describe('splitHighlights', () => {
+  it('marks the words whose token matched', () => {
+    expect(splitHighlights('The Phantom Menace', new Set(['phantom']))).toEqual([
+      { text: 'The', match: false },
+      { text: ' ', match: false },
+      { text: 'Phantom', match: true },
+      { text: ' ', match: false },
+      { text: 'Menace', match: false }
+    ]);
+  });
+
+  it('returns the whole text unmarked with nothing to highlight', () => {
+    expect(splitHighlights('Jaws', new Set())).toEqual([{ text: 'Jaws', match: false }]);
+  });
+});
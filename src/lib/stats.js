@@ -0,0 +1,88 @@
+// Aggregates for the statistics dashboard, computed from the same timeline
+// events the Timeline shows (so they follow the current filters).
+
+// Width of a bucket in the release-to-episode lag histogram, in years
+export const LAG_BUCKET_YEARS = 5;
+
+// Count occurrences of each key, as [{ key, count }] sorted by count (then key)
+export const countBy = (items, getKeys) => {
+  const counts = new Map();
+  items.forEach(item => {
+    [].concat(getKeys(item)).forEach(key => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+};
+
+export const mean = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+export const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Episodes per year of the show, with the most common tags of each year.
+// Years without episodes inside the range are included with a zero count.
+export const episodesPerYear = (events, topTags = 3) => {
+  if (events.length === 0) {
+    return [];
+  }
+  const years = events.map(event => event.episodeDate.getUTCFullYear());
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+
+  return Array.from({ length: last - first + 1 }, (_, i) => {
+    const year = first + i;
+    const episodes = events.filter((event, index) => years[index] === year);
+    return {
+      year,
+      count: episodes.length,
+      tags: countBy(episodes, event => event.tags).slice(0, topTags)
+    };
+  });
+};
+
+// Histogram of years between film release and episode. Bonus episodes have
+// no film and are left out.
+export const lagHistogram = (events, bucketYears = LAG_BUCKET_YEARS) => {
+  const lags = events.filter(event => event.yearsSinceRelease !== null).map(event => event.yearsSinceRelease);
+  if (lags.length === 0) {
+    return [];
+  }
+  const bucketOf = (lag) => Math.floor(Math.max(lag, 0) / bucketYears);
+  const last = Math.max(...lags.map(bucketOf));
+  const buckets = Array.from({ length: last + 1 }, (_, i) => ({
+    from: i * bucketYears,
+    to: (i + 1) * bucketYears,
+    count: 0
+  }));
+  lags.forEach(lag => {
+    buckets[bucketOf(lag)].count += 1;
+  });
+  return buckets;
+};
+
+// Every aggregate the dashboard shows
+export const computeStats = (events) => {
+  const lags = events.filter(event => event.yearsSinceRelease !== null).map(event => event.yearsSinceRelease);
+  return {
+    episodeCount: events.length,
+    filmCount: events.reduce((sum, event) => sum + event.films.length, 0),
+    bonusCount: events.filter(event => event.isBonus).length,
+    averageLag: mean(lags),
+    medianLag: median(lags),
+    perYear: episodesPerYear(events),
+    tags: countBy(events, event => event.tags),
+    directors: countBy(events.filter(event => !event.isBonus), event => event.directors),
+    lags: lagHistogram(events)
+  };
+};
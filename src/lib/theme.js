@@ -0,0 +1,151 @@
+// Color themes. The UI colors are CSS custom properties in globals.css,
+// switched by the `data-theme` attribute on <html>. Director and genre colors
+// come from data, so they are adjusted here until they reach the theme's
+// minimum contrast against its background (a black director dot on a dark
+// page becomes a light gray one).
+
+// Labels are the theme.* messages in lib/messages
+export const THEME_PREFERENCES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Page background (keep in sync with globals.css) and the contrast ratio
+// data colors must reach against it: WCAG AA text, AAA for high contrast
+export const THEMES = {
+  light: { background: '#FFFFFF', minContrast: 4.5 },
+  dark: { background: '#0A0A0A', minContrast: 4.5 },
+  'high-contrast': { background: '#000000', minContrast: 7 }
+};
+
+// Default colors for genre tags
+export const GENRE_COLORS = {
+  'sci-fi': '#0099CC',
+  'action': '#CC0000',
+  'thriller': '#660000',
+  'drama': '#003366',
+  'comedy': '#CC9900',
+  'horror': '#000000',
+  'animation': '#99CC33',
+  'romance': '#FF99CC',
+  'fantasy': '#9900CC'
+};
+export const DEFAULT_TAG_COLOR = '#999999';
+
+// Color for a tag before theme adjustment: a director's color when the tag
+// names one in `index` (see buildDirectorIndex in directors.js), otherwise its
+// genre color or the default
+export const getTagColor = (index, tag) => {
+  if (Object.hasOwn(index.colors, tag)) {
+    return index.colors[tag];
+  }
+  return GENRE_COLORS[tag.toLowerCase()] || DEFAULT_TAG_COLOR;
+};
+
+const STORAGE_KEY = 'blank-check-timeline:theme';
+
+// Media queries the "system" preference follows
+export const DARK_QUERY = '(prefers-color-scheme: dark)';
+export const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+// Theme actually shown for a preference, given the system settings
+export const resolveTheme = (preference, { prefersDark = false, prefersContrast = false } = {}) => {
+  if (preference !== 'system' && Object.hasOwn(THEMES, preference)) {
+    return preference;
+  }
+  if (prefersContrast) return 'high-contrast';
+  return prefersDark ? 'dark' : 'light';
+};
+
+export const loadThemePreference = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return THEME_PREFERENCES.includes(value) ? value : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+export const saveThemePreference = (preference) => {
+  try {
+    if (preference === 'system') {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, preference);
+    }
+  } catch {
+    // Storage unavailable (private mode, quota); the choice lasts for this visit
+  }
+};
+
+// Inline <head> script that sets data-theme before the first paint, so a
+// stored dark preference doesn't flash the light theme
+export const THEME_INIT_SCRIPT = `(() => {
+  let preference = 'system';
+  try { preference = localStorage.getItem(${JSON.stringify(STORAGE_KEY)}) || 'system'; } catch {}
+  const themes = ${JSON.stringify(Object.keys(THEMES))};
+  document.documentElement.dataset.theme = themes.includes(preference) ? preference
+    : matchMedia(${JSON.stringify(CONTRAST_QUERY)}).matches ? 'high-contrast'
+    : matchMedia(${JSON.stringify(DARK_QUERY)}).matches ? 'dark' : 'light';
+})();`;
+
+// #RGB or #RRGGBB to [r, g, b] in 0-255 (null when not a hex color)
+const parseHex = (color) => {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!match) {
+    return null;
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+};
+
+const toHex = (rgb) => `#${rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+
+// WCAG relative luminance of an [r, g, b] color
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// WCAG contrast ratio between two hex colors (1 to 21)
+export const contrastRatio = (a, b) => {
+  const [lighter, darker] = [luminance(parseHex(a)), luminance(parseHex(b))].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Mix `rgb` toward `target` by `amount` (0 to 1)
+const mix = (rgb, target, amount) => rgb.map((value, i) => value + (target[i] - value) * amount);
+
+const adjusted = new Map();
+
+// `color` moved toward white (dark themes) or black (light themes) just far
+// enough to reach the theme's minimum contrast. Colors that already pass,
+// and values that aren't hex colors, are returned unchanged.
+export const adjustColor = (color, theme) => {
+  const { background, minContrast } = THEMES[theme] || THEMES.light;
+  const key = `${color}|${theme}`;
+  if (adjusted.has(key)) {
+    return adjusted.get(key);
+  }
+
+  const rgb = parseHex(color);
+  let result = color;
+  if (rgb && contrastRatio(toHex(rgb), background) < minContrast) {
+    const target = luminance(parseHex(background)) > 0.5 ? [0, 0, 0] : [255, 255, 255];
+    // Binary search for the smallest mix that passes
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 12; i++) {
+      const middle = (low + high) / 2;
+      if (contrastRatio(toHex(mix(rgb, target, middle)), background) >= minContrast) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    result = toHex(mix(rgb, target, high));
+  }
+
+  adjusted.set(key, result);
+  return result;
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_TAG_COLOR, GENRE_COLORS, THEMES, adjustColor, contrastRatio, getTagColor, resolveTheme } from './theme.js';
+import { loadFixture } from '../test/fixtures.js';
+
+const { directorIndex } = loadFixture();
+
+describe('getTagColor', () => {
+  it("uses a director's color for a director tag", () => {
+    expect(getTagColor(directorIndex, 'George Lucas')).toBe('#0066CC');
+  });
+
+  it('uses generated colors for directors missing from the metadata', () => {
+    expect(getTagColor(directorIndex, 'M. Night Shyamalan')).toBe(directorIndex.colors['M. Night Shyamalan']);
+  });
+
+  it('matches genre colors regardless of case', () => {
+    expect(getTagColor(directorIndex, 'Sci-Fi')).toBe(GENRE_COLORS['sci-fi']);
+  });
+
+  it('falls back to the default color', () => {
+    expect(getTagColor(directorIndex, 'Star Wars')).toBe(DEFAULT_TAG_COLOR);
+    expect(getTagColor({ colors: {} }, 'George Lucas')).toBe(DEFAULT_TAG_COLOR);
+  });
+});
+
+describe('adjustColor', () => {
+  it('leaves colors that already have enough contrast', () => {
+    expect(adjustColor('#000000', 'light')).toBe('#000000');
+  });
+
+  it('lightens dark colors on dark themes until they pass', () => {
+    const adjusted = adjustColor('#000000', 'dark');
+    expect(contrastRatio(adjusted, THEMES.dark.background)).toBeGreaterThanOrEqual(THEMES.dark.minContrast);
+  });
+
+  it('reaches the stricter high-contrast minimum', () => {
+    const adjusted = adjustColor(GENRE_COLORS.drama, 'high-contrast');
+    expect(contrastRatio(adjusted, THEMES['high-contrast'].background)).toBeGreaterThanOrEqual(7);
+  });
+
+  it('passes values that are not hex colors through', () => {
+    expect(adjustColor('tomato', 'dark')).toBe('tomato');
+  });
+});
+
+describe('resolveTheme', () => {
+  it('follows the system for the system preference', () => {
+    expect(resolveTheme('system', { prefersDark: true })).toBe('dark');
+    expect(resolveTheme('system', { prefersDark: true, prefersContrast: true })).toBe('high-contrast');
+    expect(resolveTheme('system')).toBe('light');
+  });
+
+  it('uses an explicit preference and ignores unknown ones', () => {
+    expect(resolveTheme('dark', { prefersContrast: true })).toBe('dark');
+    expect(resolveTheme('sepia')).toBe('light');
+  });
+});
@@ -0,0 +1,44 @@
+// Mapping from dates to horizontal positions on the timeline, as a
+// percentage of the full (zoomed) timeline width.
+
+// Date an event is plotted at in a view mode (null for bonus episodes in film
+// view). The connection view plots films on the top row, so it keys off the
+// release date too and leaves bonus episodes out.
+export const getViewDate = (event, viewMode) => (viewMode === 'episode' ? event.episodeDate : event.date);
+
+// Dates the scale has to cover for an event: the connection view draws both
+// the release and the episode on one shared scale
+export const getScaleDates = (event, viewMode) => (
+  viewMode === 'connection' ? [event.date, event.episodeDate] : [getViewDate(event, viewMode)]
+);
+
+// Build a scale over the given dates. With a single distinct date every
+// event sits in the middle instead of dividing by zero.
+export const createTimeScale = (dates) => {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  const min = times.length > 0 ? Math.min(...times) : 0;
+  const max = times.length > 0 ? Math.max(...times) : 0;
+  const span = max - min;
+
+  const scale = (date) => (span === 0 ? 50 : ((date.getTime() - min) / span) * 100);
+  scale.domain = [new Date(min), new Date(max)];
+  return scale;
+};
+
+// Position of an event on a scale in a view mode (a percentage), or null
+// when the view can't place it
+export const getEventPosition = (scale, event, viewMode) => {
+  const date = getViewDate(event, viewMode);
+  return date ? scale(date) : null;
+};
+
+// Events in the order a view plots them, earliest first. Events the view
+// can't place (bonus episodes outside the episode view) go last, by episode date.
+export const sortByViewDate = (events, viewMode) => [...events].sort((a, b) => {
+  const left = getViewDate(a, viewMode);
+  const right = getViewDate(b, viewMode);
+  if (left && right) return left - right;
+  if (left) return -1;
+  if (right) return 1;
+  return a.episodeDate - b.episodeDate;
+});
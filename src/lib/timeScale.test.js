@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { createTimeScale, getEventPosition, getScaleDates, getViewDate, sortByViewDate } from './timeScale.js';
+import { parseISODate } from './episodes.js';
+import { loadFixture, eventById } from '../test/fixtures.js';
+
+const { events } = loadFixture();
+const date = parseISODate;
+
+describe('createTimeScale', () => {
+  it('maps the earliest and latest dates to the ends', () => {
+    const scale = createTimeScale([date('2000-01-01'), date('2010-01-01'), date('2005-01-01')]);
+    expect(scale(date('2000-01-01'))).toBe(0);
+    expect(scale(date('2010-01-01'))).toBe(100);
+    expect(scale.domain).toEqual([date('2000-01-01'), date('2010-01-01')]);
+  });
+
+  it('places dates in proportion to time', () => {
+    const scale = createTimeScale([date('2000-01-01'), date('2000-01-11')]);
+    expect(scale(date('2000-01-06'))).toBeCloseTo(50);
+  });
+
+  it('puts a single date in the middle', () => {
+    const scale = createTimeScale([date('1999-05-19')]);
+    expect(scale(date('1999-05-19'))).toBe(50);
+  });
+
+  it('puts identical dates in the middle instead of dividing by zero', () => {
+    const scale = createTimeScale([date('1999-05-19'), date('1999-05-19')]);
+    expect(scale(date('1999-05-19'))).toBe(50);
+  });
+
+  it('ignores missing dates', () => {
+    const scale = createTimeScale([null, date('2000-01-01'), undefined, date('2001-01-01')]);
+    expect(scale(date('2001-01-01'))).toBe(100);
+  });
+
+  it('handles no dates at all', () => {
+    const scale = createTimeScale([]);
+    expect(scale(date('2000-01-01'))).toBe(50);
+  });
+});
+
+describe('getEventPosition', () => {
+  const filmScale = createTimeScale(events.flatMap(event => getScaleDates(event, 'film')));
+  const episodeScale = createTimeScale(events.flatMap(event => getScaleDates(event, 'episode')));
+
+  it('places events by release date in the film view', () => {
+    expect(getEventPosition(filmScale, eventById(events, 1), 'film')).toBe(0);
+    expect(getEventPosition(filmScale, eventById(events, 4), 'film')).toBe(100);
+    expect(getEventPosition(filmScale, eventById(events, 2), 'film')).toBeGreaterThan(0);
+  });
+
+  it('places events by episode date in the episode view', () => {
+    expect(getEventPosition(episodeScale, eventById(events, 1), 'episode')).toBe(0);
+    expect(getEventPosition(episodeScale, eventById(events, 4), 'episode')).toBe(100);
+  });
+
+  it('gives a film and an episode on the same day the same position', () => {
+    const scale = createTimeScale(events.flatMap(event => getScaleDates(event, 'connection')));
+    expect(scale(eventById(events, 4).date)).toBe(scale(eventById(events, 2).episodeDate));
+  });
+
+  it('has no position for a bonus episode in the film view', () => {
+    const bonus = eventById(events, 'mailbag');
+    expect(getViewDate(bonus, 'film')).toBeNull();
+    expect(getEventPosition(filmScale, bonus, 'film')).toBeNull();
+    expect(getEventPosition(episodeScale, bonus, 'episode')).not.toBeNull();
+  });
+
+  it('puts a lone event in the middle', () => {
+    const [event] = events;
+    const scale = createTimeScale(getScaleDates(event, 'film'));
+    expect(getEventPosition(scale, event, 'film')).toBe(50);
+  });
+});
+
+describe('sortByViewDate', () => {
+  it('orders events by the view date, with unplaceable ones last', () => {
+    expect(sortByViewDate(events, 'film').map(event => event.id)).toEqual([1, 2, 3, 4, 'mailbag']);
+    expect(sortByViewDate(events, 'episode').map(event => event.id)).toEqual([1, 2, 3, 'mailbag', 4]);
+  });
+});
@@ -0,0 +1,92 @@
+// Mapping between Timeline view state and the page query string, so every
+// view can be bookmarked and shared. Defaults are left out of the URL.
+//
+//   ?q=jaws&director=Steven+Spielberg&tag=horror&view=episode&filter=directors&zoom=2&episode=12&stats=1&layout=list
+//
+// Filters: `director`/`tag` include, `xdirector`/`xtag` exclude, `tags=all`
+// requires every included tag, and `film`/`aired` take a FROM..TO date range
+// where either side may be empty (film=1990-01-01..), and `unlistened=1`
+// hides episodes marked as listened.
+
+import { clampZoom } from './zoom.js';
+import { DEFAULT_FILTERS, normalizeFilters } from './filters.js';
+
+const VIEW_MODES = ['film', 'episode', 'connection'];
+const FILTER_MODES = ['all', 'directors', 'genres'];
+const LAYOUTS = ['timeline', 'list'];
+
+export const DEFAULT_TIMELINE_STATE = {
+  searchTerm: '',
+  filters: DEFAULT_FILTERS,
+  viewMode: 'film',
+  filterMode: 'all',
+  zoomLevel: 1,
+  selectedEventId: null,
+  showStats: false,
+  layout: 'timeline'
+};
+
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+const parseDateRange = (value) => {
+  const [from = null, to = null] = (value || '').split('..');
+  return [from || null, to || null];
+};
+
+const formatDateRange = (from, to) => (from || to ? `${from || ''}..${to || ''}` : null);
+
+// Read Timeline state from URLSearchParams (or anything with get/getAll)
+export const parseTimelineParams = (params) => {
+  const zoom = Number(params.get('zoom'));
+  const [filmFrom, filmTo] = parseDateRange(params.get('film'));
+  const [episodeFrom, episodeTo] = parseDateRange(params.get('aired'));
+  return {
+    searchTerm: params.get('q') || DEFAULT_TIMELINE_STATE.searchTerm,
+    filters: normalizeFilters({
+      includeDirectors: params.getAll('director'),
+      excludeDirectors: params.getAll('xdirector'),
+      includeTags: params.getAll('tag'),
+      excludeTags: params.getAll('xtag'),
+      tagMatch: params.get('tags'),
+      filmFrom,
+      filmTo,
+      episodeFrom,
+      episodeTo,
+      unlistenedOnly: params.get('unlistened') === '1'
+    }),
+    viewMode: oneOf(params.get('view'), VIEW_MODES, DEFAULT_TIMELINE_STATE.viewMode),
+    filterMode: oneOf(params.get('filter'), FILTER_MODES, DEFAULT_TIMELINE_STATE.filterMode),
+    zoomLevel: Number.isFinite(zoom) && zoom > 0
+      ? clampZoom(zoom)
+      : DEFAULT_TIMELINE_STATE.zoomLevel,
+    selectedEventId: params.get('episode') || DEFAULT_TIMELINE_STATE.selectedEventId,
+    showStats: params.get('stats') === '1',
+    layout: oneOf(params.get('layout'), LAYOUTS, DEFAULT_TIMELINE_STATE.layout)
+  };
+};
+
+// Build the query string (without "?") for a Timeline state
+export const serializeTimelineParams = (state) => {
+  const params = new URLSearchParams();
+  const { filters } = state;
+  if (state.searchTerm) params.set('q', state.searchTerm);
+  filters.includeDirectors.forEach(director => params.append('director', director));
+  filters.excludeDirectors.forEach(director => params.append('xdirector', director));
+  filters.includeTags.forEach(tag => params.append('tag', tag));
+  filters.excludeTags.forEach(tag => params.append('xtag', tag));
+  if (filters.tagMatch !== DEFAULT_FILTERS.tagMatch) params.set('tags', filters.tagMatch);
+  const film = formatDateRange(filters.filmFrom, filters.filmTo);
+  if (film) params.set('film', film);
+  const aired = formatDateRange(filters.episodeFrom, filters.episodeTo);
+  if (aired) params.set('aired', aired);
+  if (filters.unlistenedOnly) params.set('unlistened', '1');
+  if (state.viewMode !== DEFAULT_TIMELINE_STATE.viewMode) params.set('view', state.viewMode);
+  if (state.filterMode !== DEFAULT_TIMELINE_STATE.filterMode) params.set('filter', state.filterMode);
+  // Continuous zoom is rounded so the URL stays readable
+  const zoom = Math.round(state.zoomLevel * 100) / 100;
+  if (zoom !== DEFAULT_TIMELINE_STATE.zoomLevel) params.set('zoom', String(zoom));
+  if (state.selectedEventId !== null) params.set('episode', String(state.selectedEventId));
+  if (state.showStats) params.set('stats', '1');
+  if (state.layout !== DEFAULT_TIMELINE_STATE.layout) params.set('layout', state.layout);
+  return params.toString();
+};
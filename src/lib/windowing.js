@@ -0,0 +1,25 @@
+// Windowed rendering: only events near the visible part of the timeline are
+// mounted. Positions and windows are percentages of the full (zoomed)
+// timeline width, like the time scale's output.
+
+// Extra room kept mounted on each side of the visible window, in pixels, so
+// labels (up to MAX_LABEL_WIDTH wide, centered on their event) don't pop in
+// at the edges while scrolling
+export const OVERSCAN_PX = 400;
+
+// Window to render for the visible `viewport` ({ start, end }) of a timeline
+// `contentWidth` pixels wide. With no width yet, everything is rendered.
+export const getRenderWindow = (viewport, contentWidth, overscanPx = OVERSCAN_PX) => {
+  if (!(contentWidth > 0)) {
+    return { start: -Infinity, end: Infinity };
+  }
+  const padding = (overscanPx / contentWidth) * 100;
+  return { start: viewport.start - padding, end: viewport.end + padding };
+};
+
+export const isInWindow = (position, window) => position >= window.start && position <= window.end;
+
+// Whether a span between two positions (e.g. a connection line) crosses the window
+export const spanInWindow = (from, to, window) => (
+  Math.max(from, to) >= window.start && Math.min(from, to) <= window.end
+);
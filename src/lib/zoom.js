@@ -0,0 +1,39 @@
+// Zoom math for the timeline. A zoom level is the inner timeline width as
+// a multiple of the visible width, so 1 fits the whole range on screen.
+
+export const MIN_ZOOM = 1;
+// Always allow at least this much zoom, even for short date ranges
+export const BASE_MAX_ZOOM = 3;
+// Hard ceiling, also used to clamp zoom levels read from the URL
+export const ZOOM_LIMIT = 1000;
+// Deepest zoom should give each week at least this many pixels
+export const MIN_WEEK_WIDTH = 24;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const clampZoom = (zoom, maxZoom = ZOOM_LIMIT) => Math.min(Math.max(zoom, MIN_ZOOM), maxZoom);
+
+// Maximum zoom for a scale domain shown in `width` pixels: deep enough to
+// tell weekly episodes apart
+export const getMaxZoom = (domain, width) => {
+  const span = domain[1].getTime() - domain[0].getTime();
+  if (span <= 0 || width <= 0) {
+    return BASE_MAX_ZOOM;
+  }
+  const needed = (span / WEEK_MS) * MIN_WEEK_WIDTH / width;
+  return Math.min(Math.max(BASE_MAX_ZOOM, needed), ZOOM_LIMIT);
+};
+
+// Zoom factor for a wheel event; pixel, line and page delta modes are normalized
+export const wheelZoomFactor = (event) => {
+  const multiplier = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 400 : 1;
+  // Trackpad pinch arrives as ctrl+wheel with small deltas; make it snappier
+  const sensitivity = event.ctrlKey ? 0.01 : 0.002;
+  return Math.exp(-event.deltaY * multiplier * sensitivity);
+};
+
+// Scroll offset that keeps the content under `pointerX` (relative to the
+// viewport) fixed when content width changes from `width` to `nextWidth`
+export const anchoredScrollLeft = ({ scrollLeft, pointerX, width, nextWidth }) => (
+  ((scrollLeft + pointerX) / width) * nextWidth - pointerX
+);
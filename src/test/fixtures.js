@@ -0,0 +1,80 @@
+// Small dataset for tests, in the episodes.json and directors.json formats:
+// a two-episode miniseries, a director missing from the metadata (so in the
+// "Other" group), a film released on another episode's air date and a bonus
+// episode with no films or tags.
+
+import { parseEpisodes } from '../lib/episodes.js';
+import { parseDirectors, buildDirectorIndex } from '../lib/directors.js';
+
+export const EPISODES_JSON = {
+  miniseries: [
+    { id: 'prequels', name: 'Star Wars Prequels', directors: ['George Lucas'], pun: 'The Phantom Podcast' }
+  ],
+  episodes: [
+    {
+      id: 1,
+      title: 'The Phantom Menace',
+      miniseries: 'prequels',
+      episodeDate: '2015-04-12',
+      episodeNumber: '#1',
+      films: [{ title: 'The Phantom Menace', directors: ['George Lucas'], date: '1999-05-19' }],
+      description: 'The first prequel',
+      content: 'Jar Jar Binks and pod racing.',
+      tags: ['Star Wars', 'sci-fi'],
+      links: [{ text: 'Listen', url: 'https://example.com/phantom-menace' }]
+    },
+    {
+      id: 2,
+      title: 'Attack of the Clones',
+      miniseries: 'prequels',
+      episodeDate: '2015-04-19',
+      episodeNumber: '#2',
+      films: [{ title: 'Attack of the Clones', directors: ['George Lucas'], date: '2002-05-16' }],
+      description: 'The second prequel',
+      tags: ['Star Wars', 'sci-fi', 'romance']
+    },
+    {
+      id: 3,
+      title: 'Lady in the Water',
+      episodeDate: '2016-01-24',
+      episodeNumber: '#25',
+      films: [{ title: 'Lady in the Water', directors: ['M. Night Shyamalan'], date: '2006-07-21' }],
+      description: 'A bedtime story',
+      tags: ['fantasy']
+    },
+    {
+      id: 4,
+      title: 'Jaws',
+      episodeDate: '2017-06-01',
+      episodeNumber: '#50',
+      films: [{ title: 'Jaws', directors: ['Steven Spielberg'], date: '2015-04-19' }],
+      description: 'You need a bigger boat',
+      tags: ['thriller', 'horror']
+    },
+    {
+      id: 'mailbag',
+      title: 'Listener Mailbag',
+      episodeDate: '2016-06-01',
+      description: 'Questions from listeners'
+    }
+  ]
+};
+
+export const DIRECTORS_JSON = {
+  groups: ['Classic Directors'],
+  directors: [
+    { name: 'George Lucas', group: 'Classic Directors', color: '#0066CC' },
+    { name: 'Steven Spielberg', group: 'Classic Directors', color: '#CC0000' }
+  ]
+};
+
+// Parsed events (sorted as the timeline sorts them) and director index
+export const loadFixture = () => {
+  const { events, miniseries } = parseEpisodes(EPISODES_JSON);
+  const { errors, ...metadata } = parseDirectors(DIRECTORS_JSON);
+  const directorIndex = buildDirectorIndex(metadata, [...new Set(events.flatMap(event => event.directors))]);
+  return { events, miniseries, errors, directorIndex };
+};
+
+// Parsed event with the given id
+export const eventById = (events, id) => events.find(event => event.id === id);
@@ -0,0 +1,27 @@
+// Test environment setup: jest-dom matchers, cleanup between tests and the
+// browser APIs jsdom doesn't implement, which the timeline uses for layout.
+
+import '@testing-library/jest-dom/vitest';
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+// Wide screen, light scheme, no reduced-contrast preference
+window.matchMedia = vi.fn(query => ({
+  matches: false,
+  media: query,
+  addEventListener: () => {},
+  removeEventListener: () => {}
+}));
+
+window.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+Element.prototype.scrollIntoView = () => {};
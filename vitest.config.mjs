@@ -0,0 +1,16 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  // Components are JSX in .js files, which Vite doesn't parse as JSX by default
+  oxc: {
+    include: /src\/.*\.js$/,
+    exclude: [],
+    lang: "jsx",
+    jsx: { runtime: "automatic" },
+  },
+  test: {
+    environment: "jsdom",
+    include: ["src/**/*.test.js"],
+    setupFiles: ["src/test/setup.js"],
+  },
+});